@@ -6,4 +6,4 @@ import { dirname, join } from 'path';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-import(join(__dirname, '..', 'src', 'index.js'));
+import(join(__dirname, '..', 'src', 'cli.js'));
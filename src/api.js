@@ -1,163 +1,102 @@
-import axios from 'axios';
 import { getConfig } from './config.js';
+import { diskCache } from './cache.js';
+import { GlobalWineScoreClient, paginate } from './client.js';
 
-const BASE_URL = 'https://api.globalwinescore.com';
+export { paginate };
 
-function getHeaders() {
-  const token = getConfig('apiToken');
-  if (!token) {
-    throw new Error('API token not configured. Run: globalwinescore config set --api-token YOUR_TOKEN');
-  }
-  return {
-    'Authorization': `Token ${token}`,
-    'Accept': 'application/json'
-  };
+// The CLI's client: configured from the conf store, created on first use
+let client = null;
+let overrides = {};
+let log = () => {};
+let cacheMode = { enabled: true, offline: false };
+
+function applyModes(target) {
+  target.logger = log;
+  target.cache = cacheMode.enabled || cacheMode.offline ? diskCache : null;
+  target.offline = cacheMode.offline;
 }
 
-async function request(endpoint, params = {}) {
-  try {
-    const response = await axios.get(`${BASE_URL}${endpoint}`, {
-      headers: getHeaders(),
-      params
+/**
+ * The client the CLI commands share, built from the saved configuration
+ */
+export function getClient() {
+  if (!client) {
+    client = new GlobalWineScoreClient({
+      token: getConfig('apiToken'),
+      baseUrl: overrides.baseUrl || getConfig('baseUrl') || undefined,
+      requestsPerMinute: getConfig('requestsPerMinute'),
+      maxRetries: getConfig('maxRetries')
     });
-    return response.data;
-  } catch (error) {
-    if (error.response?.status === 401) {
-      throw new Error('Authentication failed. Check your API token.');
-    }
-    if (error.response?.status === 429) {
-      throw new Error('Rate limit exceeded. Maximum 10 requests per minute.');
-    }
-    if (error.response?.status === 403) {
-      throw new Error('Access forbidden. This endpoint may require a business plan.');
-    }
-    if (error.response?.data?.detail) {
-      throw new Error(`API Error: ${error.response.data.detail}`);
-    }
-    throw new Error(`Request failed: ${error.message}`);
+    applyModes(client);
   }
+  return client;
 }
 
-// ============================================================
-// Wine Scores
-// ============================================================
-
 /**
- * Get latest GlobalWineScores
- * @param {Object} filters - Query filters
- * @param {string} filters.wine_id - Wine ID filter
- * @param {string} filters.vintage - Vintage year
- * @param {string} filters.color - Wine color (red, white, pink)
- * @param {boolean} filters.is_primeurs - Filter for en primeur scores
- * @param {string} filters.lwin - L-WIN identifier
- * @param {string} filters.lwin_11 - L-WIN 11 identifier
- * @param {number} filters.limit - Results per page (default: 100)
- * @param {number} filters.offset - Pagination offset
- * @param {string} filters.ordering - Sort order (e.g., '-date', 'score')
+ * Override saved settings for this process (e.g. --base-url)
+ * @param {Object} options
+ * @param {string} options.baseUrl - API base URL
  */
-export async function getLatestScores(filters = {}) {
-  const params = {};
-
-  if (filters.wine_id) params.wine_id = filters.wine_id;
-  if (filters.vintage) params.vintage = filters.vintage;
-  if (filters.color) params.color = filters.color;
-  if (filters.is_primeurs !== undefined) params.is_primeurs = filters.is_primeurs;
-  if (filters.lwin) params.lwin = filters.lwin;
-  if (filters.lwin_11) params.lwin_11 = filters.lwin_11;
-  if (filters.limit) params.limit = filters.limit;
-  if (filters.offset) params.offset = filters.offset;
-  if (filters.ordering) params.ordering = filters.ordering;
-
-  return await request('/globalwinescores/latest/', params);
+export function setClientOverrides(options = {}) {
+  overrides = { ...overrides, ...options };
+  client = null;
 }
 
 /**
- * Get historical GlobalWineScores (requires business plan)
- * @param {Object} filters - Query filters (same as getLatestScores)
+ * Route request diagnostics (rate-limit waits, retries) to a logger,
+ * e.g. stderr when the CLI runs with --verbose
  */
-export async function getHistoricalScores(filters = {}) {
-  const params = {};
-
-  if (filters.wine_id) params.wine_id = filters.wine_id;
-  if (filters.vintage) params.vintage = filters.vintage;
-  if (filters.color) params.color = filters.color;
-  if (filters.is_primeurs !== undefined) params.is_primeurs = filters.is_primeurs;
-  if (filters.lwin) params.lwin = filters.lwin;
-  if (filters.lwin_11) params.lwin_11 = filters.lwin_11;
-  if (filters.limit) params.limit = filters.limit;
-  if (filters.offset) params.offset = filters.offset;
-  if (filters.ordering) params.ordering = filters.ordering;
-
-  return await request('/globalwinescores/', params);
+export function setLogger(fn) {
+  log = fn || (() => {});
+  if (client) applyModes(client);
 }
 
 /**
- * Search wines by name, appellation, or wine_id
- * This is a helper function that uses the latest scores endpoint with filters
+ * Control the response cache
+ * @param {Object} mode
+ * @param {boolean} mode.enabled - Read and write the on-disk cache (default: true)
+ * @param {boolean} mode.offline - Answer only from the cache, never the network
  */
+export function setCacheMode(mode = {}) {
+  cacheMode = { ...cacheMode, ...mode };
+  if (client) applyModes(client);
+}
+
+// ============================================================
+// Wine Scores
+//
+// Thin wrappers over the shared client; see GlobalWineScoreClient in
+// client.js for parameters.
+// ============================================================
+
+export async function getLatestScores(filters = {}) {
+  return await getClient().getLatestScores(filters);
+}
+
+export async function getHistoricalScores(filters = {}) {
+  return await getClient().getHistoricalScores(filters);
+}
+
 export async function searchWines(query, options = {}) {
-  const filters = {
-    limit: options.limit || 20,
-    ordering: options.ordering || '-score',
-    ...options
-  };
-
-  // The API doesn't have a direct search by name, so we'll use wine_id if provided
-  // or return all with filters
-  return await getLatestScores(filters);
+  return await getClient().searchWines(query, options);
 }
 
-/**
- * Get scores by vintage year
- */
 export async function getScoresByVintage(vintage, options = {}) {
-  return await getLatestScores({
-    vintage,
-    limit: options.limit || 50,
-    ordering: options.ordering || '-score',
-    ...options
-  });
+  return await getClient().getScoresByVintage(vintage, options);
 }
 
-/**
- * Get scores by color
- */
 export async function getScoresByColor(color, options = {}) {
-  return await getLatestScores({
-    color: color.toLowerCase(),
-    limit: options.limit || 50,
-    ordering: options.ordering || '-score',
-    ...options
-  });
+  return await getClient().getScoresByColor(color, options);
 }
 
-/**
- * Get scores by wine ID
- */
 export async function getScoresByWineId(wineId, options = {}) {
-  return await getLatestScores({
-    wine_id: wineId,
-    ...options
-  });
+  return await getClient().getScoresByWineId(wineId, options);
 }
 
-/**
- * Get scores by L-WIN identifier
- */
 export async function getScoresByLwin(lwin, options = {}) {
-  return await getLatestScores({
-    lwin,
-    ...options
-  });
+  return await getClient().getScoresByLwin(lwin, options);
 }
 
-/**
- * Get top rated wines
- */
 export async function getTopRated(options = {}) {
-  return await getLatestScores({
-    limit: options.limit || 20,
-    ordering: '-score',
-    ...options
-  });
+  return await getClient().getTopRated(options);
 }
@@ -0,0 +1,131 @@
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readdirSync, readFileSync, rmSync, statSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { getConfig, getDataPath } from './config.js';
+
+const CACHE_DIR = getDataPath('cache');
+
+// Responses depend on the token's plan, so entries are kept per token
+// (`scope`, a fingerprint of it) as well as per request
+function cacheKey(url, params = {}, scope = '') {
+  const sorted = Object.keys(params)
+    .filter(key => params[key] !== undefined)
+    .sort()
+    .map(key => [key, String(params[key])]);
+  return createHash('sha256').update(scope + url + JSON.stringify(sorted)).digest('hex');
+}
+
+function entryPath(key) {
+  return join(CACHE_DIR, `${key}.json`);
+}
+
+/**
+ * TTL in seconds for a request URL; historical data changes rarely, so it
+ * has its own (longer) setting
+ */
+function ttlFor(url) {
+  const ttl = getConfig('cacheTtl');
+  return url.includes('/latest/') ? ttl.latest : ttl.historical;
+}
+
+function isExpired(entry) {
+  return !entry.url || Date.now() - entry.storedAt > ttlFor(entry.url) * 1000;
+}
+
+function readEntry(file) {
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function listEntryFiles() {
+  if (!existsSync(CACHE_DIR)) return [];
+  return readdirSync(CACHE_DIR)
+    .filter(name => name.endsWith('.json'))
+    .map(name => join(CACHE_DIR, name));
+}
+
+/**
+ * Look up a cached response
+ * @param {string} url - Request URL, base URL included
+ * @param {Object} params - Query params
+ * @param {Object} options
+ * @param {boolean} options.allowStale - Return expired entries too (offline mode)
+ * @param {string} options.scope - Token fingerprint the entry was stored under
+ * @returns {Object|null} Cache entry ({ url, params, storedAt, data, stale }) or null
+ */
+export function getCached(url, params, options = {}) {
+  const entry = readEntry(entryPath(cacheKey(url, params, options.scope)));
+  if (!entry) return null;
+  const stale = isExpired(entry);
+  if (stale && !options.allowStale) return null;
+  return { ...entry, stale };
+}
+
+/**
+ * Store a response in the cache
+ * @param {Object} options
+ * @param {string} options.scope - Token fingerprint to store the entry under
+ */
+export function setCached(url, params, data, options = {}) {
+  mkdirSync(CACHE_DIR, { recursive: true });
+  const entry = { url, params, storedAt: Date.now(), data };
+  writeFileSync(entryPath(cacheKey(url, params, options.scope)), JSON.stringify(entry));
+}
+
+/**
+ * The on-disk cache in the shape GlobalWineScoreClient expects
+ */
+export const diskCache = {
+  get: getCached,
+  set: setCached
+};
+
+/**
+ * Summarize the cache contents
+ */
+export function getCacheStats() {
+  const stats = { directory: CACHE_DIR, entries: 0, expired: 0, bytes: 0, oldest: null, newest: null };
+
+  for (const file of listEntryFiles()) {
+    const entry = readEntry(file);
+    stats.entries++;
+    stats.bytes += statSync(file).size;
+    if (!entry || isExpired(entry)) {
+      stats.expired++;
+      continue;
+    }
+    if (!stats.oldest || entry.storedAt < stats.oldest) stats.oldest = entry.storedAt;
+    if (!stats.newest || entry.storedAt > stats.newest) stats.newest = entry.storedAt;
+  }
+
+  return stats;
+}
+
+/**
+ * Delete expired (and unreadable) entries
+ * @returns {number} Number of entries removed
+ */
+export function pruneCache() {
+  let removed = 0;
+  for (const file of listEntryFiles()) {
+    const entry = readEntry(file);
+    if (!entry || isExpired(entry)) {
+      rmSync(file, { force: true });
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Delete every entry
+ * @returns {number} Number of entries removed
+ */
+export function clearCache() {
+  const files = listEntryFiles();
+  files.forEach(file => rmSync(file, { force: true }));
+  return files.length;
+}
@@ -0,0 +1,327 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { getDataPath } from './config.js';
+import { escapeHtml, htmlPage } from './html.js';
+import { pickResult, lookupScores } from './enrich.js';
+import { parseLwin } from './lwin.js';
+import { toCsv } from './csv.js';
+
+// The cellar is a JSON array of holdings, one per wine and vintage:
+// { lwin, vintage, name, quantity, price, addedAt }. Prices are per bottle,
+// in whatever currency the inventory uses.
+const CELLAR_FILE = getDataPath('cellar.json');
+
+// Value metrics count quality points above this score
+const VALUE_BASELINE = 80;
+
+const REPORT_COLUMNS = [
+  'lwin', 'vintage', 'name', 'quantity', 'price', 'cost', 'wine_name', 'appellation', 'color',
+  'score', 'confidence_index', 'points_per_100', 'price_per_point', 'value_rank', 'status'
+];
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function holdingKey(holding) {
+  return `${holding.lwin}|${holding.vintage || ''}`;
+}
+
+// A single separator followed by exactly three digits: "1,250" is a
+// thousand in some locales and a decimal in others
+const AMBIGUOUS_AMOUNT = /^-?\d{1,3}[.,]\d{3}$/;
+
+/**
+ * Parse a quantity or price cell. Currency symbols and spaces are dropped.
+ * When both "." and "," appear, the last one is the decimal separator
+ * ("€1,250.00" and "1.250,00 €" read as 1250); a separator repeated on its
+ * own is for thousands ("1,250,000"), and a single one is a decimal ("12.50",
+ * "12,5"). A lone separator before three digits ("1,250") is ambiguous and
+ * reads as NaN.
+ */
+function parseAmount(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  let digits = String(value).replace(/[^0-9.,-]/g, '');
+  if (!/\d/.test(digits)) return NaN;
+
+  const decimal = Math.max(digits.lastIndexOf('.'), digits.lastIndexOf(','));
+  if (decimal < 0) return Number(digits);
+  const separator = digits[decimal];
+  const other = separator === '.' ? ',' : '.';
+
+  if (digits.includes(other)) {
+    // Both appear: the other one groups thousands
+    digits = digits.split(other).join('');
+  } else if (digits.indexOf(separator) !== decimal) {
+    // Repeated on its own: thousands only
+    return Number(digits.split(separator).join(''));
+  } else if (AMBIGUOUS_AMOUNT.test(digits)) {
+    return NaN;
+  }
+  return Number(digits.replace(separator, '.'));
+}
+
+function amountReason(column, value) {
+  const digits = String(value).replace(/[^0-9.,-]/g, '');
+  return AMBIGUOUS_AMOUNT.test(digits)
+    ? `Ambiguous ${column}: ${value} (write 1250, 1,250.00 or 1.250,00)`
+    : `Invalid ${column}: ${value}`;
+}
+
+export function getCellar() {
+  if (!existsSync(CELLAR_FILE)) return [];
+  let holdings;
+  try {
+    holdings = JSON.parse(readFileSync(CELLAR_FILE, 'utf8'));
+  } catch (error) {
+    throw new Error(`The cellar file ${CELLAR_FILE} is not valid JSON (${error.message}). Fix it, or start over with: globalwinescore cellar clear`);
+  }
+  if (!Array.isArray(holdings)) {
+    throw new Error(`The cellar file ${CELLAR_FILE} does not hold a list of holdings. Fix it, or start over with: globalwinescore cellar clear`);
+  }
+  return holdings;
+}
+
+function saveCellar(holdings) {
+  mkdirSync(dirname(CELLAR_FILE), { recursive: true });
+  writeFileSync(CELLAR_FILE, JSON.stringify(holdings, null, 2) + '\n');
+}
+
+/**
+ * Remove every holding. A corrupted cellar file is replaced too.
+ * @returns {number} Holdings removed (0 when the file was unreadable)
+ */
+export function clearCellar() {
+  let count = 0;
+  try {
+    count = getCellar().length;
+  } catch {
+    // Clearing is the way out of a corrupted file
+  }
+  saveCellar([]);
+  return count;
+}
+
+/**
+ * Store inventory rows as holdings. Rows for the same wine and vintage are
+ * combined, with the price averaged over the bottles.
+ * @param {Object[]} rows - Input records
+ * @param {Object} options
+ * @param {string} options.lwinColumn - Column holding the L-WIN (default: lwin)
+ * @param {string} options.quantityColumn - Column holding the bottle count (default: quantity; 1 when absent)
+ * @param {string} options.priceColumn - Column holding the price per bottle (default: price)
+ * @param {string} options.vintageColumn - Column holding the vintage, for LWIN-7 codes
+ * @param {string} options.nameColumn - Column holding a display name
+ * @param {boolean} options.merge - Add to the existing cellar instead of replacing it
+ * @returns {Object} { imported, total, skipped } - holdings written, holdings
+ *   now in the cellar, and [{ line, reason }] for rows that were not imported
+ */
+export function importCellar(rows, options = {}) {
+  const {
+    lwinColumn = 'lwin',
+    quantityColumn = 'quantity',
+    priceColumn = 'price',
+    vintageColumn,
+    nameColumn,
+    merge = false
+  } = options;
+
+  const holdings = new Map((merge ? getCellar() : []).map(holding => [holdingKey(holding), holding]));
+  const skipped = [];
+  let imported = 0;
+
+  for (const [index, row] of rows.entries()) {
+    // Line numbers as seen in the file, after the header
+    const line = index + 2;
+    let parsed;
+    try {
+      parsed = parseLwin(row[lwinColumn]);
+    } catch (error) {
+      skipped.push({ line, reason: error.message });
+      continue;
+    }
+
+    const quantity = parseAmount(row[quantityColumn]) ?? 1;
+    const price = parseAmount(row[priceColumn]);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      skipped.push({ line, reason: amountReason(quantityColumn, row[quantityColumn]) });
+      continue;
+    }
+    if (price !== null && !(price >= 0)) {
+      skipped.push({ line, reason: amountReason(priceColumn, row[priceColumn]) });
+      continue;
+    }
+
+    const columnVintage = vintageColumn ? String(row[vintageColumn] ?? '').trim() : '';
+    const holding = {
+      lwin: parsed.lwin11 || parsed.lwin7,
+      vintage: parsed.vintage || columnVintage || null,
+      name: (nameColumn && String(row[nameColumn] ?? '').trim()) || null,
+      quantity,
+      price,
+      addedAt: new Date().toISOString()
+    };
+
+    const existing = holdings.get(holdingKey(holding));
+    if (existing) {
+      const priced = [existing, holding].filter(h => h.price !== null);
+      const pricedBottles = priced.reduce((sum, h) => sum + h.quantity, 0);
+      holding.price = priced.length === 0 ? null
+        : pricedBottles > 0 ? round(priced.reduce((sum, h) => sum + h.price * h.quantity, 0) / pricedBottles)
+          : priced[priced.length - 1].price;
+      holding.quantity = existing.quantity + holding.quantity;
+      holding.name = holding.name || existing.name;
+      holding.addedAt = existing.addedAt;
+    }
+    holdings.set(holdingKey(holding), holding);
+    imported++;
+  }
+
+  saveCellar([...holdings.values()]);
+  return { imported, total: holdings.size, skipped };
+}
+
+// Bottled scores are preferred; en primeur scores stand in until one exists
+function pickScore(results, vintage) {
+  return pickResult(results.filter(wine => !wine.is_primeurs), vintage) || pickResult(results, vintage);
+}
+
+/**
+ * Join every holding with its latest score and compute value metrics:
+ * points_per_100 (score per 100 units of price) and price_per_point (price
+ * of each point above 80). Holdings are looked up one L-WIN at a time
+ * through the rate-limited request layer, reading every page, newest first.
+ * @param {Object} options
+ * @param {number} options.top - Holdings in each of the top and bottom performer lists (default: 5)
+ * @param {Function} options.onProgress - Called with (done, total) after each lookup
+ * @returns {Object} { generatedAt, summary, holdings, top, bottom, uncovered }
+ *   - top and bottom rank priced, scored holdings by points_per_100;
+ *   uncovered lists holdings with no score and the reason
+ */
+export async function cellarReport(options = {}) {
+  const { top = 5, onProgress = () => {} } = options;
+  const cellar = getCellar();
+  const lookups = new Map();
+
+  const holdings = [];
+  for (const [index, holding] of cellar.entries()) {
+    // An LWIN-11 already names the vintage; an LWIN-7 is narrowed by it
+    const vintage = holding.lwin.length === 7 && holding.vintage ? holding.vintage : '';
+    const key = `${holding.lwin}|${vintage}`;
+    if (!lookups.has(key)) lookups.set(key, lookupScores(holding.lwin, 'lwin', vintage));
+    const wine = pickScore(await lookups.get(key), holding.vintage);
+
+    const score = wine && wine.score !== undefined && wine.score !== null ? Number(wine.score) : null;
+    const priced = holding.price !== null && holding.price > 0;
+    holdings.push({
+      ...holding,
+      cost: holding.price === null ? null : round(holding.price * holding.quantity),
+      wine_name: wine ? wine.wine_name || wine.wine || null : null,
+      appellation: wine?.appellation ?? null,
+      color: wine?.color ?? null,
+      score,
+      confidence_index: wine?.confidence_index ?? null,
+      is_primeurs: wine?.is_primeurs ?? null,
+      points_per_100: score !== null && priced ? round(score / holding.price * 100) : null,
+      price_per_point: score !== null && priced && score > VALUE_BASELINE ? round(holding.price / (score - VALUE_BASELINE)) : null,
+      value_rank: null,
+      status: score === null ? 'uncovered' : priced ? 'scored' : 'unpriced',
+      reason: score === null ? (holding.vintage ? `No score for vintage ${holding.vintage}` : 'No scores found') : null
+    });
+    onProgress(index + 1, cellar.length);
+  }
+
+  const ranked = holdings
+    .filter(holding => holding.points_per_100 !== null)
+    .sort((a, b) => b.points_per_100 - a.points_per_100 || b.score - a.score);
+  ranked.forEach((holding, index) => { holding.value_rank = index + 1; });
+
+  const topHoldings = ranked.slice(0, top);
+  const bottomHoldings = ranked.slice(Math.max(top, ranked.length - top)).reverse();
+  topHoldings.forEach(holding => { holding.status = 'top'; });
+  bottomHoldings.forEach(holding => { holding.status = 'bottom'; });
+
+  const sum = (rows, value) => rows.reduce((total, row) => total + value(row), 0);
+  const scored = holdings.filter(holding => holding.score !== null);
+  const scoredBottles = sum(scored, h => h.quantity);
+  const costed = holdings.filter(holding => holding.cost !== null);
+  const bottles = sum(holdings, h => h.quantity);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    summary: {
+      holdings: holdings.length,
+      bottles,
+      cost: round(sum(costed, h => h.cost)),
+      covered: scored.length,
+      uncovered: holdings.length - scored.length,
+      coverage: holdings.length > 0 ? round(scored.length / holdings.length * 100, 1) : null,
+      average_score: scoredBottles > 0 ? round(sum(scored, h => h.score * h.quantity) / scoredBottles) : null,
+      average_price: costed.length > 0 ? round(sum(costed, h => h.cost) / sum(costed, h => h.quantity)) : null,
+      points_per_100: ranked.length > 0
+        ? round(sum(ranked, h => h.score * h.quantity) / sum(ranked, h => h.price * h.quantity) * 100)
+        : null
+    },
+    holdings,
+    top: topHoldings,
+    bottom: bottomHoldings,
+    uncovered: holdings.filter(holding => holding.score === null)
+  };
+}
+
+/**
+ * Every holding of a report as CSV, with its value rank and status
+ * (top, bottom, scored, unpriced or uncovered)
+ */
+export function reportToCsv(report) {
+  return toCsv(report.holdings, REPORT_COLUMNS);
+}
+
+function htmlTable(rows, columns) {
+  if (rows.length === 0) return '<p class="empty">None.</p>';
+  const head = columns.map(([, label]) => `<th>${escapeHtml(label)}</th>`).join('');
+  const body = rows.map(row => `<tr>${columns.map(([key]) => `<td>${escapeHtml(row[key])}</td>`).join('')}</tr>`);
+  return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body.join('\n')}\n</tbody>\n</table>`;
+}
+
+/**
+ * A report as a self-contained HTML page
+ */
+export function reportToHtml(report, options = {}) {
+  const { summary } = report;
+  const label = (holding) => holding.wine_name || holding.name || holding.lwin;
+  const withLabel = (rows) => rows.map(holding => ({ ...holding, label: label(holding) }));
+
+  const valueColumns = [
+    ['value_rank', '#'], ['label', 'Wine'], ['vintage', 'Vintage'], ['quantity', 'Bottles'], ['price', 'Price'],
+    ['score', 'Score'], ['confidence_index', 'Confidence'], ['points_per_100', 'Points / 100'], ['price_per_point', 'Price / point']
+  ];
+  const summaryRows = [
+    ['Holdings', summary.holdings],
+    ['Bottles', summary.bottles],
+    ['Total cost', summary.cost],
+    ['Score coverage', summary.coverage === null ? '' : `${summary.covered} of ${summary.holdings} (${summary.coverage}%)`],
+    ['Average score (per bottle)', summary.average_score ?? ''],
+    ['Average price (per bottle)', summary.average_price ?? ''],
+    ['Points per 100', summary.points_per_100 ?? '']
+  ];
+
+  return htmlPage({
+    title: options.title || 'Cellar report',
+    body: `<table>
+<tbody>
+${summaryRows.map(([name, value]) => `<tr><th>${escapeHtml(name)}</th><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</tbody>
+</table>
+<h2>Best value</h2>
+${htmlTable(withLabel(report.top), valueColumns)}
+<h2>Worst value</h2>
+${htmlTable(withLabel(report.bottom), valueColumns)}
+<h2>No score coverage</h2>
+${htmlTable(withLabel(report.uncovered), [['lwin', 'L-WIN'], ['label', 'Wine'], ['vintage', 'Vintage'], ['quantity', 'Bottles'], ['price', 'Price'], ['reason', 'Reason']])}
+<h2>All holdings</h2>
+${htmlTable(withLabel(report.holdings), [['lwin', 'L-WIN'], ...valueColumns.slice(1), ['status', 'Status']])}
+<footer>Generated ${escapeHtml(report.generatedAt)}</footer>`
+  });
+}
@@ -0,0 +1,176 @@
+import { confidenceWeight } from './stats.js';
+import { escapeXml, htmlPage } from './html.js';
+
+const SPARK_BLOCKS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+
+// Indicative uncertainty (± points) drawn around a score: A+ scores get a
+// narrow half-point band, C scores three points either side.
+function confidenceMargin(confidenceIndex) {
+  return Math.round((1.1 - confidenceWeight(confidenceIndex)) * 50) / 10;
+}
+
+/**
+ * Reduce score rows to one point per vintage, oldest vintage first. When a
+ * vintage has several rows (historical data), the most recent one wins.
+ * @param {Object[]} rows - Score results for a single wine
+ * @returns {Object[]} [{ vintage, score, confidence_index, low, high, date }]
+ */
+export function chartPoints(rows) {
+  const byVintage = new Map();
+  for (const row of rows) {
+    const score = Number(row.score);
+    if (!row.vintage || Number.isNaN(score)) continue;
+    const current = byVintage.get(row.vintage);
+    if (!current || String(row.date || '') > String(current.date || '')) {
+      byVintage.set(row.vintage, row);
+    }
+  }
+
+  return [...byVintage.values()]
+    .sort((a, b) => String(a.vintage).localeCompare(String(b.vintage)))
+    .map(row => {
+      const margin = confidenceMargin(row.confidence_index);
+      const score = Number(row.score);
+      return {
+        vintage: row.vintage,
+        score,
+        confidence_index: row.confidence_index || null,
+        low: Math.round((score - margin) * 100) / 100,
+        high: Math.min(Math.round((score + margin) * 100) / 100, 100),
+        date: row.date || null
+      };
+    });
+}
+
+/**
+ * One-line sparkline of the scores
+ */
+export function renderSparkline(points) {
+  if (points.length === 0) return '';
+  const scores = points.map(p => p.score);
+  const min = Math.min(...scores);
+  const range = Math.max(...scores) - min || 1;
+  return scores
+    .map(score => SPARK_BLOCKS[Math.round(((score - min) / range) * (SPARK_BLOCKS.length - 1))])
+    .join('');
+}
+
+/**
+ * Multi-line terminal chart: one column per vintage, ● at the score and a
+ * vertical bar spanning the confidence band.
+ * @param {Object[]} points - From chartPoints()
+ * @param {Object} options
+ * @param {number} options.height - Rows in the plot area (default: 12)
+ * @param {Function} options.colorize - (score, text) -> text, e.g. to color by score band
+ * @param {Function} options.dim - text -> text for the confidence bars and axes
+ * @returns {string}
+ */
+export function renderLineChart(points, options = {}) {
+  if (points.length === 0) return '';
+  const height = Math.max(options.height || 12, 3);
+  const colorize = options.colorize || ((_, text) => text);
+  const dim = options.dim || ((text) => text);
+
+  const low = Math.floor(Math.min(...points.map(p => p.low)));
+  const high = Math.ceil(Math.max(...points.map(p => p.high)));
+  const span = high - low || 1;
+  const rowOf = (value) => Math.round(((high - value) / span) * (height - 1));
+
+  const cellWidth = Math.max(...points.map(p => String(p.vintage).length)) + 1;
+  const labelWidth = String(high).length + 2;
+  const pad = (text, width) => {
+    const left = Math.floor((width - 1) / 2);
+    return ' '.repeat(left) + text + ' '.repeat(width - left - 1);
+  };
+
+  const lines = [];
+  for (let r = 0; r < height; r++) {
+    const value = high - (r / (height - 1)) * span;
+    const label = r === 0 || r === height - 1 || r === Math.floor((height - 1) / 2)
+      ? value.toFixed(1).padStart(labelWidth)
+      : ' '.repeat(labelWidth);
+    const cells = points.map(p => {
+      if (rowOf(p.score) === r) return pad(colorize(p.score, '●'), cellWidth);
+      if (r >= rowOf(p.high) && r <= rowOf(p.low)) return pad(dim('│'), cellWidth);
+      return ' '.repeat(cellWidth);
+    });
+    lines.push(`${dim(label + ' ┤')}${cells.join('')}`);
+  }
+
+  lines.push(dim(' '.repeat(labelWidth) + ' └' + '─'.repeat(cellWidth * points.length)));
+  lines.push(' '.repeat(labelWidth + 2) + points.map(p => String(p.vintage).padEnd(cellWidth)).join(''));
+  return lines.join('\n');
+}
+
+/**
+ * Standalone SVG line chart with confidence bands
+ * @param {Object[]} points - From chartPoints()
+ * @param {Object} options
+ * @param {string} options.title - Chart title
+ * @returns {string} SVG document
+ */
+export function renderSvg(points, options = {}) {
+  const width = Math.max(480, 80 + points.length * 56);
+  const height = 320;
+  const plot = { left: 56, right: width - 24, top: 48, bottom: height - 48 };
+
+  const low = Math.floor(Math.min(...points.map(p => p.low), 100));
+  const high = Math.ceil(Math.max(...points.map(p => p.high), 0));
+  const span = high - low || 1;
+  const x = (i) => points.length === 1
+    ? (plot.left + plot.right) / 2
+    : plot.left + (i / (points.length - 1)) * (plot.right - plot.left);
+  const y = (value) => plot.bottom - ((value - low) / span) * (plot.bottom - plot.top);
+  const fixed = (n) => n.toFixed(1);
+
+  const grid = [];
+  for (let value = low; value <= high; value += Math.max(1, Math.ceil(span / 6))) {
+    grid.push(`<line x1="${plot.left}" x2="${plot.right}" y1="${fixed(y(value))}" y2="${fixed(y(value))}" stroke="#e5e5e5"/>`);
+    grid.push(`<text x="${plot.left - 8}" y="${fixed(y(value) + 4)}" text-anchor="end" font-size="11" fill="#666">${value}</text>`);
+  }
+
+  const band = points.length > 1
+    ? `<polygon fill="#7b1e3a" fill-opacity="0.12" points="${[
+      ...points.map((p, i) => `${fixed(x(i))},${fixed(y(p.high))}`),
+      ...points.map((p, i) => `${fixed(x(i))},${fixed(y(p.low))}`).reverse()
+    ].join(' ')}"/>`
+    : '';
+
+  const marks = points.map((p, i) => [
+    `<line x1="${fixed(x(i))}" x2="${fixed(x(i))}" y1="${fixed(y(p.high))}" y2="${fixed(y(p.low))}" stroke="#7b1e3a" stroke-opacity="0.5"/>`,
+    `<circle cx="${fixed(x(i))}" cy="${fixed(y(p.score))}" r="4" fill="#7b1e3a"><title>${escapeXml(`${p.vintage}: ${p.score} (${p.confidence_index || '?'})`)}</title></circle>`,
+    `<text x="${fixed(x(i))}" y="${plot.bottom + 20}" text-anchor="middle" font-size="11" fill="#333">${escapeXml(p.vintage)}</text>`
+  ].join(''));
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif">`,
+    '<rect width="100%" height="100%" fill="#fff"/>',
+    `<text x="${plot.left}" y="28" font-size="15" font-weight="bold" fill="#222">${escapeXml(options.title || 'GlobalWineScore by vintage')}</text>`,
+    ...grid,
+    band,
+    `<polyline fill="none" stroke="#7b1e3a" stroke-width="2" points="${points.map((p, i) => `${fixed(x(i))},${fixed(y(p.score))}`).join(' ')}"/>`,
+    ...marks,
+    '</svg>'
+  ].join('\n');
+}
+
+/**
+ * Self-contained HTML page with the SVG chart and a data table
+ */
+export function renderHtml(points, options = {}) {
+  const rows = points.map(p =>
+    `<tr><td>${escapeXml(p.vintage)}</td><td>${p.score}</td><td>${escapeXml(p.confidence_index || '')}</td><td>${p.low} – ${p.high}</td><td>${escapeXml(p.date || '')}</td></tr>`
+  );
+
+  return htmlPage({
+    title: options.title || 'GlobalWineScore by vintage',
+    style: ['table { margin-top: 1.5rem; }'],
+    body: `${renderSvg(points, options)}
+<table>
+<thead><tr><th>Vintage</th><th>Score</th><th>Confidence</th><th>Band</th><th>Date</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>`
+  });
+}
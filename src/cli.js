@@ -0,0 +1,2397 @@
+import { Command } from 'commander';
+import chalk from 'chalk';
+import ora from 'ora';
+import {
+  getConfig,
+  setConfig,
+  deleteConfig,
+  getConfigSource,
+  isConfigured,
+  DEFAULT_PROFILE,
+  getActiveProfile,
+  setProfileOverride,
+  profileExists,
+  listProfiles,
+  addProfile,
+  removeProfile,
+  useProfile
+} from './config.js';
+import {
+  getLatestScores,
+  getHistoricalScores,
+  searchWines,
+  getScoresByVintage,
+  getScoresByColor,
+  getScoresByWineId,
+  getScoresByLwin,
+  getTopRated,
+  paginate,
+  setLogger,
+  setCacheMode,
+  setClientOverrides
+} from './api.js';
+import { createMockServer } from './mock/server.js';
+import { runInteractive } from './tui.js';
+import { createProxyServer } from './proxy.js';
+import { runMcpServer } from './mcp.js';
+import { parseLwin, describeLwin } from './lwin.js';
+import { compileWhere, compileSort, checkFields, groupRows } from './query.js';
+import { parseVintages, parseColors } from './fanout.js';
+import { summarize, summarizeBy, histogram } from './stats.js';
+import { comparePrimeurs } from './primeurs.js';
+import { chartPoints, renderSparkline, renderLineChart, renderSvg, renderHtml } from './chart.js';
+import { DEFAULT_BASE_URL } from './client.js';
+import { getCacheStats, pruneCache, clearCache } from './cache.js';
+import { enrichRows, lookupScores, pickResult } from './enrich.js';
+import { findSimilar, DEFAULT_SCORE_BAND, DEFAULT_VINTAGE_WINDOW } from './similar.js';
+import { parseCsv, toCsv } from './csv.js';
+import { createFormatter, formatNames, isRecordFormat } from './formatters.js';
+import { storeSnapshot, listSnapshots, loadSnapshot, deleteSnapshot, diffSnapshots, CHANGE_KINDS } from './snapshots.js';
+import { getWatchlist, addWatch, removeWatch, checkWatchlist, recordCheck, sendWebhook } from './watchlist.js';
+import { getCellar, importCellar, clearCellar, cellarReport, reportToCsv, reportToHtml } from './cellar.js';
+import { GlobalWineScoreError, NotFoundError, AuthError, PlanRequiredError, OfflineError, exitCodeOf, serializeError } from './errors.js';
+import { SPLIT_BY, splitRecords, toWorkbook, toCellarTrackerCsv, toHtmlReport } from './export.js';
+import { createWriteStream, openSync, readFileSync, writeFileSync } from 'fs';
+import { extname } from 'path';
+
+const program = new Command();
+
+// Stop quietly when the reader goes away, e.g. `globalwinescore latest --all | head`
+process.stdout.on('error', (error) => {
+  if (error.code === 'EPIPE') process.exit(0);
+  throw error;
+});
+
+// ============================================================
+// Helpers
+// ============================================================
+
+function printSuccess(message) {
+  console.log(chalk.green('✓') + ' ' + message);
+}
+
+// Set before each command runs: errors go to stderr as JSON when the
+// command was asked for JSON output
+let jsonErrors = false;
+
+/**
+ * Report an error on stderr: a line of text, or with --json a JSON object
+ * { error: { type, message, status?, exit_code } }
+ */
+function printError(message, error = new Error(message)) {
+  if (jsonErrors) {
+    console.error(JSON.stringify({ error: { ...serializeError(error), message } }));
+    return;
+  }
+  console.error(chalk.red('✗') + ' ' + message);
+}
+
+/**
+ * Report an error and exit with its type's exit code (see errors.js)
+ */
+function exitWithError(error) {
+  printError(error.message, error);
+  process.exit(exitCodeOf(error));
+}
+
+function printTable(data, columns) {
+  const table = createFormatter('table', { write: (text) => process.stdout.write(text), columns, color: true });
+  table.begin({});
+  table.rows(data || []);
+  table.end({});
+}
+
+function printJson(data) {
+  console.log(JSON.stringify(data, null, 2));
+}
+
+const PAGE_SIZE = 100;
+const QUERY_SCAN = 1000;
+
+function isStreaming(options) {
+  return !!(options.all || options.max);
+}
+
+/**
+ * A count option such as --max or --scan as a positive whole number, or
+ * undefined when not given
+ */
+function parseCountOption(value, name) {
+  if (value === undefined) return undefined;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new GlobalWineScoreError(`Invalid ${name}: ${value}. Must be a positive whole number`);
+  }
+  return count;
+}
+
+/**
+ * Add the shared output options to a score command
+ */
+function withOutputOptions(command) {
+  return command
+    .option('--format <format>', `Output format (${formatNames().join(', ')})`)
+    .option('--columns <fields>', 'Comma-separated fields to output, e.g. wine_name,vintage,score,lwin')
+    .option('--output <file>', 'Write output to a file instead of stdout')
+    .option('--json', 'Output as JSON (same as --format json)')
+    .option('--ndjson', 'Output one JSON result per line (same as --format ndjson)');
+}
+
+/**
+ * Add the client-side query options to a score command
+ */
+function withQueryOptions(command) {
+  return command
+    .option('--where <expr>', 'Filter results, e.g. "score >= 92 and confidence in (A+,A) and appellation ~ pauillac"')
+    .option('--sort <keys>', 'Sort results by one or more fields, e.g. "-score,vintage" or "appellation,score:desc"')
+    .option('--group-by <fields>', 'Confidence-weighted statistics per group, e.g. appellation or color,vintage')
+    .option('--scan <n>', `Most rows to read for --where/--group-by (default: ${QUERY_SCAN}; --all reads every page)`);
+}
+
+function resolveFormat(options) {
+  if (options.format) return options.format.toLowerCase();
+  if (options.json) return 'json';
+  if (options.ndjson) return 'ndjson';
+  return getConfig('outputFormat') || 'table';
+}
+
+/**
+ * --limit, else the profile's default limit, else the command's own default
+ */
+function resolveLimit(options, fallback) {
+  return parseInt(options.limit || getConfig('defaultLimit') || fallback);
+}
+
+/**
+ * --color, else the profile's default color
+ */
+function resolveColor(options) {
+  return options.color || getConfig('defaultColor');
+}
+
+/**
+ * API filters for --lwin / --lwin-11, validated locally. --lwin accepts any
+ * L-WIN length and routes LWIN-11/16/18 codes to the lwin_11 filter.
+ */
+function lwinOptionFilters(options) {
+  const filters = {};
+  if (options.lwin) Object.assign(filters, parseLwin(options.lwin).filters);
+  if (options.lwin11) {
+    const parsed = parseLwin(options.lwin11);
+    if (!parsed.lwin11) {
+      throw new Error(`--lwin-11 needs an LWIN-11 (or LWIN-16/18), got an ${parsed.format}. Use --lwin ${parsed.lwin}`);
+    }
+    filters.lwin_11 = parsed.lwin11;
+  }
+  return filters;
+}
+
+/**
+ * Row shape shared by every format: the raw API fields overlaid with the
+ * display fields from formatWineResult (wine_name, confidence, ...)
+ */
+function toRecord(wine) {
+  return { ...wine, ...formatWineResult(wine) };
+}
+
+function selectColumns(selection, columns) {
+  return selection.split(',').map(key => key.trim()).filter(Boolean)
+    .map(key => columns.find(col => col.key === key) || { key, label: key });
+}
+
+/**
+ * Create the output sink for a command: a formatter writing to stdout or
+ * --output, plus the row mapping its format needs
+ */
+function createOutput(options, { title, columns, emptyMessage, toRow = toRecord }) {
+  const format = resolveFormat(options);
+  const selected = options.columns ? selectColumns(options.columns, columns) : null;
+  const records = isRecordFormat(format);
+
+  // --output is opened on the first text written, so a request that fails
+  // before any output leaves an existing file untouched. Opened synchronously
+  // so a bad path throws into the command's catch; later write errors are
+  // raised from write() and end()
+  let stream = null;
+  let streamError = null;
+  const open = () => {
+    stream = createWriteStream(null, { fd: openSync(options.output, 'w') });
+    stream.on('error', (error) => { streamError = error; });
+    return stream;
+  };
+
+  const formatter = createFormatter(format, {
+    write: (text) => options.output ? (stream || open()).write(text) : process.stdout.write(text),
+    columns: selected || columns,
+    title,
+    emptyMessage,
+    color: !options.output
+  });
+
+  const mapRow = (wine) => {
+    if (!records) return toRow(wine);
+    if (!selected) return wine;
+    const record = toRow(wine);
+    return Object.fromEntries(selected.map(col => [col.key, record[col.key]]));
+  };
+
+  let started = false;
+  let count = 0;
+
+  return {
+    format,
+    write(page) {
+      if (streamError) throw streamError;
+      if (!started) {
+        formatter.begin(page);
+        started = true;
+      }
+      formatter.rows(page.results.map(mapRow));
+      count += page.results.length;
+    },
+    async end(meta) {
+      formatter.end(started ? meta : null);
+      if (options.output) {
+        if (!stream) open();
+        await new Promise((resolve, reject) => stream.end((error) => error || streamError ? reject(error || streamError) : resolve()));
+        printSuccess(`Wrote ${count} result(s) to ${options.output}`);
+      }
+    }
+  };
+}
+
+/**
+ * Fetch a scores query and write it in the requested format. With --all or
+ * --max, pages are followed and written as they arrive instead of held in
+ * memory.
+ * @returns {Object|null} The last page fetched (for "Showing N of M" hints)
+ */
+async function outputScores(fetchPage, filters, options, { title, columns, spinnerText, emptyMessage }) {
+  if (options.where || options.sort || options.groupBy) {
+    await outputQuery(fetchPage, filters, options, { title, columns, spinnerText, emptyMessage });
+    return null;
+  }
+
+  const output = createOutput(options, { title, columns, emptyMessage });
+  const streaming = isStreaming(options);
+
+  const max = parseCountOption(options.max, '--max');
+  let pages;
+  if (streaming) {
+    pages = paginate(fetchPage, { ...filters, limit: Math.min(max || PAGE_SIZE, PAGE_SIZE) }, { max });
+  } else {
+    pages = (async function* () { yield await fetchPage(filters); })();
+  }
+
+  const spinner = ora(spinnerText).start();
+  let pageNumber = 1;
+  let received = 0;
+  let last = null;
+  try {
+    for await (const page of pages) {
+      spinner.stop();
+      // A streamed result set has no single next/previous cursor to report
+      output.write(streaming ? { count: page.count, results: page.results } : page);
+      last = page;
+      received += page.results.length;
+      if (streaming && page.next && !(received >= max)) spinner.start(`Fetching page ${++pageNumber}...`);
+    }
+  } finally {
+    spinner.stop();
+  }
+
+  await output.end(last);
+  return last;
+}
+
+/**
+ * outputScores with --where, --sort or --group-by. Filtering and grouping
+ * follow pages until --limit matches (every match with --all, up to --max
+ * with --max) or --scan rows have been read. Unsorted, ungrouped matches
+ * are written page by page; sorting and grouping need every match first.
+ */
+async function outputQuery(fetchPage, filters, options, { title, columns, spinnerText, emptyMessage }) {
+  const parseOption = (flag, value, compile) => {
+    try {
+      return value ? compile(value) : null;
+    } catch (error) {
+      throw new Error(`Invalid ${flag}: ${error.message}`);
+    }
+  };
+  const where = parseOption('--where', options.where, compileWhere);
+  const sort = parseOption('--sort', options.sort, compileSort);
+  const groupBy = options.groupBy ? options.groupBy.split(',').map(field => field.trim()).filter(Boolean) : null;
+  const buffered = !!(sort || groupBy);
+
+  const max = parseCountOption(options.max, '--max');
+  const wanted = options.all || groupBy ? Infinity : max || filters.limit;
+  const filtering = !!(where || groupBy);
+  // Without a filter, --max and --all mean rows read, as for plain queries
+  const scan = parseCountOption(options.scan, '--scan') ?? (options.all || !filtering ? max : QUERY_SCAN);
+
+  let pages;
+  if (filtering || isStreaming(options)) {
+    pages = paginate(fetchPage, { ...filters, limit: Math.min(scan || PAGE_SIZE, PAGE_SIZE) }, { max: scan });
+  } else {
+    pages = (async function* () { yield await fetchPage(filters); })();
+  }
+
+  const output = createOutput(options, {
+    title,
+    emptyMessage,
+    columns: groupBy ? [
+      ...groupBy.map(field => ({ key: field, label: field })),
+      { key: 'count', label: 'Count' },
+      { key: 'mean', label: 'Mean', format: (v) => chalk.green(v) },
+      { key: 'median', label: 'Median' },
+      { key: 'min', label: 'Min' },
+      { key: 'max', label: 'Max' },
+      { key: 'stddev', label: 'Std Dev' }
+    ] : columns,
+    toRow: groupBy ? (row) => row : toRecord
+  });
+
+  const spinner = ora(spinnerText).start();
+  const matched = [];
+  let scanned = 0;
+  let total = null;
+  try {
+    for await (const page of pages) {
+      if (scanned === 0) {
+        checkFields([...(where ? where.fields : []), ...(groupBy || [])], page.results);
+      }
+      total = page.count ?? total;
+      scanned += page.results.length;
+
+      let rows = where ? page.results.filter(where) : page.results;
+      if (!buffered) rows = rows.slice(0, wanted - matched.length);
+      matched.push(...rows);
+
+      if (!buffered && rows.length > 0) {
+        spinner.stop();
+        output.write({ results: rows });
+      }
+      if (!buffered && matched.length >= wanted) break;
+      spinner.start(`Scanned ${scanned}${total !== null ? ` of ${total}` : ''} rows, ${matched.length} match(es)...`);
+    }
+  } finally {
+    spinner.stop();
+  }
+
+  let results = matched;
+  if (buffered) {
+    if (groupBy) results = groupRows(matched, groupBy);
+    if (sort) results = [...results].sort(sort);
+    if (!groupBy) results = results.slice(0, wanted);
+    output.write({ count: results.length, scanned, results });
+  }
+  await output.end({ count: results.length, scanned, results });
+
+  if (resolveFormat(options) === 'table' && !options.output && filtering) {
+    console.log(chalk.dim(`${matched.length} match(es) in ${scanned}${total !== null ? ` of ${total}` : ''} rows scanned`));
+    if (total !== null && scanned < total && !options.all && !(matched.length >= wanted)) {
+      console.log(chalk.dim('Use --scan <n> or --all to read further'));
+    }
+  }
+}
+
+/**
+ * Whether the "Showing N of M" hint applies: table output of a single page
+ * to the terminal
+ */
+function showsPageHint(output, options) {
+  return output && !isStreaming(options) && !options.output && resolveFormat(options) === 'table';
+}
+
+async function withSpinner(message, fn) {
+  const spinner = ora(message).start();
+  try {
+    const result = await fn();
+    spinner.stop();
+    return result;
+  } catch (error) {
+    spinner.stop();
+    throw error;
+  }
+}
+
+/**
+ * Exit with an AuthError, on stderr like every other error, when no API
+ * token is configured. stdout stays clean for data and for the MCP protocol.
+ */
+function requireAuth() {
+  if (!isConfigured() && !program.opts().offline) {
+    exitWithError(new AuthError('API token not configured. Run: globalwinescore config set --api-token YOUR_TOKEN (get a token at https://www.globalwinescore.com/)'));
+  }
+}
+
+function formatWineResult(wine) {
+  return {
+    wine_name: wine.wine_name || wine.wine || 'N/A',
+    vintage: wine.vintage || 'NV',
+    score: wine.score || 'N/A',
+    confidence: wine.confidence_index || 'N/A',
+    appellation: wine.appellation || 'N/A',
+    color: wine.color || 'N/A'
+  };
+}
+
+// ============================================================
+// Program metadata
+// ============================================================
+
+program
+  .name('globalwinescore')
+  .description(chalk.bold('GlobalWineScore CLI') + ' - Wine ratings and scores from your terminal')
+  .version('1.0.0')
+  .option('--verbose', 'Log requests, rate-limit waits and retries to stderr')
+  .option('--no-cache', 'Bypass the on-disk response cache')
+  .option('--offline', 'Answer only from the response cache, never the network')
+  .option('--base-url <url>', 'API base URL for this run, e.g. a staging proxy or mock-server')
+  .option('--profile <name>', 'Configuration profile for this run (default: GWS_PROFILE or the active profile)');
+
+program.hook('preAction', (thisCommand, actionCommand) => {
+  const globals = program.opts();
+  const local = actionCommand.opts();
+  jsonErrors = !!(local.json || local.ndjson || ['json', 'ndjson'].includes(String(local.format).toLowerCase()));
+  if (globals.profile) {
+    setProfileOverride(globals.profile);
+  }
+  if (!profileExists(getActiveProfile())) {
+    printError(`Profile "${getActiveProfile()}" not found. Run: globalwinescore config profile list`);
+    process.exit(1);
+  }
+  if (globals.verbose) {
+    setLogger((message) => console.error(chalk.dim(`[gws] ${message}`)));
+  }
+  setCacheMode({ enabled: globals.cache, offline: !!globals.offline });
+  if (globals.baseUrl) {
+    setClientOverrides({ baseUrl: globals.baseUrl });
+  }
+});
+
+// ============================================================
+// CONFIG
+// ============================================================
+
+const configCmd = program.command('config').description('Manage CLI configuration');
+
+configCmd
+  .command('set')
+  .description('Set configuration values')
+  .option('--api-token <token>', 'GlobalWineScore API token')
+  .option('--base-url <url>', `API base URL (empty string for ${DEFAULT_BASE_URL})`)
+  .option('--requests-per-minute <n>', 'Client-side request rate limit (default: 10)')
+  .option('--max-retries <n>', 'Retries for 429 and 5xx responses (default: 3)')
+  .option('--cache-ttl <seconds>', 'Cache lifetime for latest scores (default: 3600)')
+  .option('--historical-cache-ttl <seconds>', 'Cache lifetime for historical scores (default: 86400)')
+  .option('--webhook-url <url>', 'Webhook to POST watchlist alerts to (empty string to unset)')
+  .option('--default-limit <n>', 'Result count when --limit is omitted (empty string to unset)')
+  .option('--default-color <color>', 'Color filter when --color is omitted (empty string to unset)')
+  .option('--output-format <format>', 'Format when --format is omitted (empty string to unset)')
+  .action((options) => {
+    let updated = false;
+
+    // Settings that can be unset by passing an empty string
+    const setOrUnset = (key, value, parse, label) => {
+      if (value === '') {
+        deleteConfig(key);
+        printSuccess(`${label} unset`);
+      } else {
+        setConfig(key, parse(value));
+        printSuccess(`${label} set to ${value}`);
+      }
+      updated = true;
+    };
+
+    try {
+      if (options.apiToken) {
+        setConfig('apiToken', options.apiToken);
+        printSuccess('API token set');
+        updated = true;
+      }
+      if (options.baseUrl !== undefined) {
+        setConfig('baseUrl', options.baseUrl.replace(/\/+$/, ''));
+        printSuccess(options.baseUrl ? `Base URL set to ${options.baseUrl}` : 'Base URL reset to default');
+        updated = true;
+      }
+      if (options.requestsPerMinute) {
+        setConfig('requestsPerMinute', parseFloat(options.requestsPerMinute));
+        printSuccess(`Rate limit set to ${options.requestsPerMinute} requests per minute`);
+        updated = true;
+      }
+      if (options.maxRetries) {
+        setConfig('maxRetries', parseInt(options.maxRetries));
+        printSuccess(`Max retries set to ${options.maxRetries}`);
+        updated = true;
+      }
+      if (options.cacheTtl) {
+        setConfig('cacheTtl.latest', parseFloat(options.cacheTtl));
+        printSuccess(`Latest scores cache TTL set to ${options.cacheTtl}s`);
+        updated = true;
+      }
+      if (options.historicalCacheTtl) {
+        setConfig('cacheTtl.historical', parseFloat(options.historicalCacheTtl));
+        printSuccess(`Historical scores cache TTL set to ${options.historicalCacheTtl}s`);
+        updated = true;
+      }
+      if (options.webhookUrl !== undefined) {
+        setConfig('webhookUrl', options.webhookUrl);
+        printSuccess(options.webhookUrl ? 'Webhook URL set' : 'Webhook URL cleared');
+        updated = true;
+      }
+      if (options.defaultLimit !== undefined) {
+        setOrUnset('defaultLimit', options.defaultLimit, (v) => Number(v), 'Default limit');
+      }
+      if (options.defaultColor !== undefined) {
+        setOrUnset('defaultColor', options.defaultColor, (v) => v.toLowerCase(), 'Default color');
+      }
+      if (options.outputFormat !== undefined) {
+        setOrUnset('outputFormat', options.outputFormat, (v) => v.toLowerCase(), 'Output format');
+      }
+    } catch (error) {
+      printError(`Invalid configuration value: ${error.message}`);
+      process.exit(1);
+    }
+
+    if (!updated) {
+      printError('No options provided. Run: globalwinescore config set --help');
+    } else if (getActiveProfile() !== DEFAULT_PROFILE) {
+      console.log(chalk.dim(`Profile settings saved to profile "${getActiveProfile()}"`));
+    }
+  });
+
+configCmd
+  .command('show')
+  .description('Show current configuration')
+  .action(() => {
+    const apiToken = getConfig('apiToken');
+    const source = (key) => {
+      const from = getConfigSource(key);
+      return from === DEFAULT_PROFILE ? '' : chalk.dim(from === 'env' ? ' (environment)' : ` (profile ${from})`);
+    };
+    console.log(chalk.bold('\nGlobalWineScore CLI Configuration\n'));
+    console.log('Profile:   ', chalk.cyan(getActiveProfile()));
+    console.log('API Token: ', (apiToken ? chalk.green(apiToken.substring(0, 8) + '...' + apiToken.slice(-4)) : chalk.red('not set')) + source('apiToken'));
+    console.log('Base URL:  ', (getConfig('baseUrl') || chalk.dim(DEFAULT_BASE_URL)) + source('baseUrl'));
+    console.log('Rate Limit:', `${getConfig('requestsPerMinute')} requests/minute` + source('requestsPerMinute'));
+    console.log('Retries:   ', getConfig('maxRetries') + source('maxRetries'));
+    console.log('Limit:     ', (getConfig('defaultLimit') ?? chalk.dim('per command')) + source('defaultLimit'));
+    console.log('Color:     ', (getConfig('defaultColor') ?? chalk.dim('any')) + source('defaultColor'));
+    console.log('Format:    ', (getConfig('outputFormat') ?? chalk.dim('table')) + source('outputFormat'));
+    console.log('Cache TTL: ', `latest ${getConfig('cacheTtl').latest}s, historical ${getConfig('cacheTtl').historical}s`);
+    console.log('Webhook:   ', getConfig('webhookUrl') || chalk.dim('not set'));
+    console.log('');
+  });
+
+const profileCmd = configCmd.command('profile').description('Manage named configuration profiles');
+
+profileCmd
+  .command('add <name>')
+  .description('Create a profile')
+  .option('--api-token <token>', 'API token for this profile')
+  .option('--base-url <url>', 'API base URL for this profile')
+  .option('--copy-from <profile>', 'Start from another profile\'s settings')
+  .option('--use', 'Make it the active profile')
+  .action((name, options) => {
+    try {
+      const settings = {};
+      if (options.apiToken) settings.apiToken = options.apiToken;
+      if (options.baseUrl) settings.baseUrl = options.baseUrl.replace(/\/+$/, '');
+
+      addProfile(name, settings, options.copyFrom);
+      if (options.use) useProfile(name);
+      printSuccess(`Profile "${name}" created${options.use ? ' and active' : ''}`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+profileCmd
+  .command('use <name>')
+  .description('Set the active profile')
+  .action((name) => {
+    try {
+      useProfile(name);
+      printSuccess(`Active profile: ${name}`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+profileCmd
+  .command('list')
+  .description('List profiles')
+  .action(() => {
+    const active = getActiveProfile();
+    listProfiles().forEach(name => {
+      console.log(name === active ? chalk.green(`* ${name}`) : `  ${name}`);
+    });
+  });
+
+profileCmd
+  .command('remove <name>')
+  .description('Delete a profile')
+  .action((name) => {
+    try {
+      removeProfile(name);
+      printSuccess(`Profile "${name}" removed`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// CACHE
+// ============================================================
+
+const cacheCmd = program.command('cache').description('Manage the on-disk response cache');
+
+cacheCmd
+  .command('stats')
+  .description('Show cache size and entry counts')
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    const stats = getCacheStats();
+
+    if (options.json) {
+      printJson(stats);
+      return;
+    }
+
+    const formatDate = (ms) => ms ? new Date(ms).toLocaleString() : chalk.dim('n/a');
+    console.log(chalk.bold('\nResponse Cache\n'));
+    console.log('Directory:', stats.directory);
+    console.log('Entries:  ', stats.entries, chalk.dim(`(${stats.expired} expired)`));
+    console.log('Size:     ', `${(stats.bytes / 1024).toFixed(1)} KB`);
+    console.log('Oldest:   ', formatDate(stats.oldest));
+    console.log('Newest:   ', formatDate(stats.newest));
+    console.log('');
+  });
+
+cacheCmd
+  .command('prune')
+  .description('Remove expired cache entries')
+  .action(() => {
+    const removed = pruneCache();
+    printSuccess(`Removed ${removed} expired entr${removed === 1 ? 'y' : 'ies'}`);
+  });
+
+cacheCmd
+  .command('clear')
+  .description('Remove every cache entry')
+  .action(() => {
+    const removed = clearCache();
+    printSuccess(`Removed ${removed} entr${removed === 1 ? 'y' : 'ies'}`);
+  });
+
+// ============================================================
+// LATEST
+// ============================================================
+
+withQueryOptions(withOutputOptions(program
+  .command('latest')
+  .description('Get latest wine scores')
+  .option('--wine-id <id>', 'Filter by wine ID')
+  .option('--vintage <years>', 'Filter by vintage: a year, range (2009..2016) or list (2010,2015)')
+  .option('--color <colors>', 'Filter by color: red, white, pink, or several (red,white)')
+  .option('--lwin <lwin>', 'Filter by L-WIN identifier (LWIN-7, -11, -16 or -18)')
+  .option('--lwin-11 <lwin11>', 'Filter by L-WIN 11 identifier')
+  .option('--primeurs', 'Show only en primeur scores')
+  .option('--limit <n>', 'Number of results (default: 20)')
+  .option('--ordering <field>', 'Sort order (score, -score, date, -date)')
+  .option('--all', 'Fetch every page of results, streaming rows as they arrive')
+  .option('--max <n>', 'Fetch pages until n results have been streamed')))
+  .action(async (options) => {
+    requireAuth();
+
+    try {
+      const filters = {
+        limit: resolveLimit(options, 20),
+      };
+
+      if (options.wineId) filters.wine_id = options.wineId;
+      if (options.vintage) filters.vintage = options.vintage;
+      if (resolveColor(options)) filters.color = resolveColor(options);
+      Object.assign(filters, lwinOptionFilters(options));
+      if (options.primeurs) filters.is_primeurs = true;
+      if (options.ordering) filters.ordering = options.ordering;
+
+      const data = await outputScores(getLatestScores, filters, options, {
+        title: 'Latest GlobalWineScores',
+        spinnerText: 'Fetching latest wine scores...',
+        columns: [
+          { key: 'wine_name', label: 'Wine' },
+          { key: 'vintage', label: 'Vintage' },
+          { key: 'score', label: 'Score', format: (v) => chalk.green(v) },
+          { key: 'confidence', label: 'Confidence' },
+          { key: 'appellation', label: 'Appellation' }
+        ]
+      });
+
+      if (showsPageHint(data, options) && data.count > data.results.length) {
+        console.log(chalk.dim(`\nShowing ${data.results.length} of ${data.count} total results`));
+        console.log(chalk.dim('Use --all or --max <n> to fetch more results'));
+      }
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// VINTAGE
+// ============================================================
+
+withQueryOptions(withOutputOptions(program
+  .command('vintage <year>')
+  .description('Get scores by vintage year, range (2009..2016) or list (2010,2015)')
+  .option('--color <colors>', 'Filter by color: red, white, pink, or several (red,white)')
+  .option('--limit <n>', 'Number of results (default: 30)')
+  .option('--all', 'Fetch every page of results, streaming rows as they arrive')
+  .option('--max <n>', 'Fetch pages until n results have been streamed')))
+  .action(async (year, options) => {
+    requireAuth();
+
+    try {
+      const filters = {
+        limit: resolveLimit(options, 30),
+        ordering: '-score'
+      };
+
+      if (resolveColor(options)) filters.color = resolveColor(options);
+
+      const data = await outputScores((f) => getScoresByVintage(year, f), filters, options, {
+        title: `${year} Vintage Scores`,
+        spinnerText: `Fetching ${year} vintage scores...`,
+        columns: [
+          { key: 'wine_name', label: 'Wine' },
+          ...(parseVintages(year).length > 1 ? [{ key: 'vintage', label: 'Vintage' }] : []),
+          { key: 'score', label: 'Score', format: (v) => chalk.green(v) },
+          { key: 'confidence', label: 'Confidence' },
+          { key: 'appellation', label: 'Appellation' },
+          { key: 'color', label: 'Color' }
+        ]
+      });
+
+      if (showsPageHint(data, options) && data.count > data.results.length) {
+        console.log(chalk.dim(`\nShowing ${data.results.length} of ${data.count} total results`));
+      }
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// COLOR
+// ============================================================
+
+withQueryOptions(withOutputOptions(program
+  .command('color <type>')
+  .description('Get scores by wine color (red, white, pink, or several: red,white)')
+  .option('--vintage <years>', 'Filter by vintage: a year, range (2009..2016) or list (2010,2015)')
+  .option('--limit <n>', 'Number of results (default: 30)')
+  .option('--all', 'Fetch every page of results, streaming rows as they arrive')
+  .option('--max <n>', 'Fetch pages until n results have been streamed')))
+  .action(async (type, options) => {
+    requireAuth();
+
+    const validColors = ['red', 'white', 'pink'];
+    const colors = parseColors(type);
+    if (!colors.every(color => validColors.includes(color))) {
+      printError(`Invalid color. Must be one of: ${validColors.join(', ')} (comma-separate several)`);
+      process.exit(1);
+    }
+
+    try {
+      const filters = {
+        limit: resolveLimit(options, 30),
+        ordering: '-score'
+      };
+
+      if (options.vintage) filters.vintage = options.vintage;
+
+      const data = await outputScores((f) => getScoresByColor(type, f), filters, options, {
+        title: `${colors.map(color => color.charAt(0).toUpperCase() + color.slice(1)).join(' & ')} Wine Scores`,
+        spinnerText: `Fetching ${type} wine scores...`,
+        columns: [
+          { key: 'wine_name', label: 'Wine' },
+          { key: 'vintage', label: 'Vintage' },
+          { key: 'score', label: 'Score', format: (v) => chalk.green(v) },
+          { key: 'confidence', label: 'Confidence' },
+          { key: 'appellation', label: 'Appellation' },
+          ...(colors.length > 1 ? [{ key: 'color', label: 'Color' }] : [])
+        ]
+      });
+
+      if (showsPageHint(data, options) && data.count > data.results.length) {
+        console.log(chalk.dim(`\nShowing ${data.results.length} of ${data.count} total results`));
+      }
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// VINTAGE REPORT
+// ============================================================
+
+function renderHistogram(bins, width = 40) {
+  const peak = Math.max(...bins.map(bin => bin.count), 1);
+  const labelWidth = Math.max(...bins.map(bin => `${bin.from}–${bin.to}`.length));
+  bins.forEach(bin => {
+    const bar = '█'.repeat(Math.round((bin.count / peak) * width)) || (bin.count > 0 ? '▏' : '');
+    console.log(`${`${bin.from}–${bin.to}`.padStart(labelWidth)}  ${chalk.green(bar)} ${chalk.dim(bin.count)}`);
+  });
+}
+
+withOutputOptions(program
+  .command('vintage-report <year>')
+  .description('Aggregate a full vintage: confidence-weighted score statistics per color and appellation')
+  .option('--color <colors>', 'Only these colors: red, white, pink, or several (red,white)')
+  .option('--primeurs', 'Report en primeur scores instead of bottled scores')
+  .option('--min-count <n>', 'Hide appellations with fewer than n wines (default: 1)', '1')
+  .option('--bin <points>', 'Histogram bin width in points (default: 1)', '1')
+  .option('--max <n>', 'Stop after n results (default: every page)'))
+  .action(async (year, options) => {
+    requireAuth();
+
+    try {
+      const filters = { ordering: '-score', is_primeurs: !!options.primeurs };
+      if (resolveColor(options)) filters.color = resolveColor(options);
+
+      const max = parseCountOption(options.max, '--max');
+      const rows = [];
+      const spinner = ora(`Fetching ${year} vintage...`).start();
+      try {
+        for await (const page of paginate((f) => getScoresByVintage(year, f), { ...filters, limit: Math.min(max || PAGE_SIZE, PAGE_SIZE) }, { max })) {
+          // Keep only the fields the report needs so large vintages stay small in memory
+          rows.push(...page.results.map(wine => ({
+            score: wine.score,
+            confidence_index: wine.confidence_index,
+            color: wine.color,
+            appellation: wine.appellation
+          })));
+          spinner.text = `Fetching ${year} vintage... (${rows.length} of ${page.count})`;
+        }
+      } finally {
+        spinner.stop();
+      }
+
+      const minCount = parseInt(options.minCount);
+      const overall = summarize(rows);
+      const byColor = summarizeBy(rows, (row) => row.color);
+      const byAppellation = summarizeBy(rows, (row) => row.appellation).filter(group => group.count >= minCount);
+      const bins = histogram(rows, parseFloat(options.bin));
+
+      const statColumns = [
+        { key: 'count', label: 'Wines' },
+        { key: 'mean', label: 'Mean', format: (v) => chalk.green(v) },
+        { key: 'median', label: 'Median' },
+        { key: 'min', label: 'Min' },
+        { key: 'max', label: 'Max' },
+        { key: 'stddev', label: 'Std Dev' }
+      ];
+
+      if (resolveFormat(options) === 'table' && !options.output) {
+        console.log(chalk.bold(`\n${year} Vintage Report${options.primeurs ? ' (en primeur)' : ''}\n`));
+        if (overall.count === 0) {
+          console.log(chalk.yellow('No scores found for this vintage.'));
+          return;
+        }
+        console.log(`${overall.count} wines · mean ${chalk.green(overall.mean)} · median ${overall.median} · range ${overall.min}–${overall.max} · σ ${overall.stddev}`);
+        console.log(chalk.dim('Statistics are weighted by confidence index (A+ = 1.0 … C = 0.5)\n'));
+
+        console.log(chalk.bold('By Color\n'));
+        printTable(byColor, [{ key: 'group', label: 'Color' }, ...statColumns]);
+
+        console.log(chalk.bold('\nBy Appellation\n'));
+        printTable(byAppellation, [{ key: 'group', label: 'Appellation' }, ...statColumns]);
+
+        console.log(chalk.bold('\nScore Distribution\n'));
+        renderHistogram(bins);
+        return;
+      }
+
+      const groups = [
+        ...byColor.map(group => ({ group_type: 'color', ...group })),
+        ...byAppellation.map(group => ({ group_type: 'appellation', ...group }))
+      ];
+      const output = createOutput(options, {
+        title: `${year} Vintage Report`,
+        toRow: (row) => row,
+        columns: [{ key: 'group_type', label: 'Type' }, { key: 'group', label: 'Group' }, ...statColumns]
+      });
+      const report = { vintage: year, primeurs: !!options.primeurs, overall, histogram: bins, count: groups.length, results: groups };
+      output.write(report);
+      await output.end(report);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// PRIMEURS (barrel vs bottle)
+// ============================================================
+
+function formatDelta(delta) {
+  if (delta === null || delta === undefined) return '';
+  const text = `${delta > 0 ? '+' : ''}${delta}`;
+  if (Math.abs(delta) <= 1) return chalk.dim(text);
+  return delta > 0 ? chalk.green(text) : chalk.red(text);
+}
+
+withOutputOptions(program
+  .command('primeurs <vintage>')
+  .description('Compare en primeur (barrel) scores with bottled scores for the same wines of a vintage')
+  .option('--color <colors>', 'Only these colors: red, white, pink, or several (red,white)')
+  .option('--min-count <n>', 'Hide appellations with fewer than n matched wines (default: 1)', '1')
+  .option('--max <n>', 'Read at most n scores of each kind (default: every page)'))
+  .action(async (vintage, options) => {
+    requireAuth();
+
+    try {
+      const filters = { ordering: '-score' };
+      if (resolveColor(options)) filters.color = resolveColor(options);
+      const max = parseCountOption(options.max, '--max');
+
+      const fetchKind = async (isPrimeurs, spinner) => {
+        const rows = [];
+        const label = isPrimeurs ? 'en primeur' : 'bottled';
+        for await (const page of paginate((f) => getScoresByVintage(vintage, f), { ...filters, is_primeurs: isPrimeurs, limit: Math.min(max || PAGE_SIZE, PAGE_SIZE) }, { max })) {
+          rows.push(...page.results);
+          spinner.text = `Fetching ${vintage} ${label} scores... (${rows.length} of ${page.count})`;
+        }
+        return rows;
+      };
+
+      const spinner = ora(`Fetching ${vintage} en primeur scores...`).start();
+      let primeurs;
+      let bottled;
+      try {
+        primeurs = await fetchKind(true, spinner);
+        // Without barrel scores there is nothing to pair the bottled ones with
+        bottled = primeurs.length > 0 ? await fetchKind(false, spinner) : [];
+      } finally {
+        spinner.stop();
+      }
+
+      const comparison = comparePrimeurs(primeurs, bottled);
+      const minCount = parseInt(options.minCount);
+      const appellations = comparison.appellations.filter(group => group.count >= minCount);
+      const { overall, unmatched } = comparison;
+
+      const deltaColumns = [
+        { key: 'count', label: 'Wines' },
+        { key: 'mean', label: 'Mean Δ', format: formatDelta },
+        { key: 'mean_abs', label: 'Mean |Δ|' },
+        { key: 'median', label: 'Median Δ', format: formatDelta },
+        { key: 'min', label: 'Min', format: formatDelta },
+        { key: 'max', label: 'Max', format: formatDelta },
+        { key: 'accurate', label: 'Within ±1' }
+      ];
+      const wineColumns = [
+        { key: 'wine_name', label: 'Wine' },
+        ...(parseVintages(vintage).length > 1 ? [{ key: 'vintage', label: 'Vintage' }] : []),
+        { key: 'appellation', label: 'Appellation' },
+        { key: 'primeur_score', label: 'Primeur' },
+        { key: 'primeur_confidence', label: 'Conf.' },
+        { key: 'bottled_score', label: 'Bottled' },
+        { key: 'bottled_confidence', label: 'Conf.' },
+        { key: 'delta', label: 'Δ', format: formatDelta }
+      ];
+
+      if (resolveFormat(options) === 'table' && !options.output) {
+        console.log(chalk.bold(`\n${vintage} En Primeur vs Bottled\n`));
+        if (overall.count === 0) {
+          console.log(chalk.yellow(primeurs.length === 0
+            ? 'No en primeur scores found for this vintage.'
+            : 'No wine has both an en primeur and a bottled score yet.'));
+          return;
+        }
+        const share = (n) => `${Math.round((n / overall.count) * 100)}%`;
+        console.log(`${overall.count} wines · mean Δ ${formatDelta(overall.mean)} · mean |Δ| ${overall.mean_abs} · median Δ ${formatDelta(overall.median)} · σ ${overall.stddev}`);
+        console.log(`${overall.higher} scored higher bottled, ${overall.lower} lower · ${overall.accurate} (${share(overall.accurate)}) within ±1 point of the barrel score`);
+        console.log(chalk.dim('Δ = bottled − en primeur: positive when the barrel score ran low'));
+        if (unmatched.primeurs > 0 || unmatched.bottled > 0) {
+          console.log(chalk.dim(`Unmatched: ${unmatched.primeurs} en primeur only, ${unmatched.bottled} bottled only`));
+        }
+
+        console.log(chalk.bold('\nBy Appellation\n'));
+        printTable(appellations, [{ key: 'appellation', label: 'Appellation' }, ...deltaColumns]);
+
+        console.log(chalk.bold('\nBy Wine\n'));
+        printTable(comparison.wines, wineColumns);
+        return;
+      }
+
+      const output = createOutput(options, {
+        title: `${vintage} En Primeur vs Bottled`,
+        toRow: (row) => row,
+        columns: [...wineColumns, { key: 'wine_id', label: 'Wine ID' }, { key: 'lwin', label: 'LWIN' }]
+      });
+      const report = {
+        vintage,
+        overall,
+        appellations,
+        unmatched,
+        count: comparison.wines.length,
+        results: comparison.wines
+      };
+      output.write(report);
+      await output.end(report);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// TOP RATED
+// ============================================================
+
+withQueryOptions(withOutputOptions(program
+  .command('top')
+  .description('Get top-rated wines')
+  .option('--color <colors>', 'Filter by color: red, white, pink, or several (red,white)')
+  .option('--vintage <years>', 'Filter by vintage: a year, range (2009..2016) or list (2010,2015)')
+  .option('--limit <n>', 'Number of results (default: 20)')
+  .option('--all', 'Fetch every page of results, streaming rows as they arrive')
+  .option('--max <n>', 'Fetch pages until n results have been streamed')))
+  .action(async (options) => {
+    requireAuth();
+
+    try {
+      const filters = {
+        limit: resolveLimit(options, 20)
+      };
+
+      if (resolveColor(options)) filters.color = resolveColor(options);
+      if (options.vintage) filters.vintage = options.vintage;
+
+      await outputScores(getTopRated, filters, options, {
+        title: 'Top-Rated Wines',
+        spinnerText: 'Fetching top-rated wines...',
+        columns: [
+          { key: 'wine_name', label: 'Wine' },
+          { key: 'vintage', label: 'Vintage' },
+          { key: 'score', label: 'Score', format: (v) => chalk.green(v) },
+          { key: 'confidence', label: 'Confidence' },
+          { key: 'appellation', label: 'Appellation' },
+          { key: 'color', label: 'Color' }
+        ]
+      });
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// SEARCH
+// ============================================================
+
+withOutputOptions(program
+  .command('search <text>')
+  .description('Search wine name, appellation and region (fuzzy, accent-insensitive)')
+  .option('--color <colors>', 'Filter by color: red, white, pink, or several (red,white)')
+  .option('--vintage <years>', 'Filter by vintage: a year, range (2009..2016) or list (2010,2015)')
+  .option('--min-score <n>', 'Only wines scored at least n')
+  .option('--limit <n>', 'Number of matches (default: 20)')
+  .option('--scan <n>', 'Score rows to scan for matches (default: 500)', '500'))
+  .action(async (text, options) => {
+    requireAuth();
+
+    try {
+      const searchOptions = {
+        limit: resolveLimit(options, 20),
+        scan: parseCountOption(options.scan, '--scan')
+      };
+
+      if (resolveColor(options)) searchOptions.color = resolveColor(options).toLowerCase();
+      if (options.vintage) searchOptions.vintage = options.vintage;
+      if (options.minScore) searchOptions.min_score = parseFloat(options.minScore);
+
+      const data = await outputScores(() => searchWines(text, searchOptions), {}, options, {
+        title: `Search: ${chalk.cyan(text)}`,
+        spinnerText: `Searching for "${text}"...`,
+        columns: [
+          { key: 'wine_name', label: 'Wine' },
+          { key: 'vintage', label: 'Vintage' },
+          { key: 'score', label: 'Score', format: (v) => chalk.green(v) },
+          { key: 'confidence', label: 'Confidence' },
+          { key: 'appellation', label: 'Appellation' },
+          { key: 'color', label: 'Color' },
+          { key: 'match', label: 'Match', format: (v) => `${Math.round(v * 100)}%` }
+        ]
+      });
+
+      if (showsPageHint(data, options)) {
+        console.log(chalk.dim(`\n${data.count} match(es) in ${data.scanned} scanned score(s)`));
+        if (data.count > data.results.length) {
+          console.log(chalk.dim('Use --limit to show more matches'));
+        }
+      }
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// COMPARE
+// ============================================================
+
+/**
+ * Color a score by band: 95+ outstanding, 92+ excellent, 89+ very good
+ */
+function scoreBand(score) {
+  if (score >= 95) return chalk.bold.green;
+  if (score >= 92) return chalk.green;
+  if (score >= 89) return chalk.yellow;
+  return chalk.red;
+}
+
+async function fetchAllScores(fetchPage, filters) {
+  const rows = [];
+  for await (const page of paginate(fetchPage, { ...filters, limit: PAGE_SIZE })) {
+    rows.push(...page.results);
+  }
+  return rows;
+}
+
+withOutputOptions(program
+  .command('compare <ids...>')
+  .description('Wine × vintage score matrix for several wine IDs (or L-WINs with --lwin)')
+  .option('--lwin', 'Treat identifiers as L-WINs instead of wine IDs')
+  .option('--primeurs', 'Compare en primeur scores instead of bottled scores')
+  .option('--from <year>', 'First vintage to include')
+  .option('--to <year>', 'Last vintage to include'))
+  .action(async (ids, options) => {
+    requireAuth();
+
+    try {
+      // Check every L-WIN before spending any requests
+      if (options.lwin) ids.forEach(id => parseLwin(id));
+
+      // Newest first, so the first row of each vintage is its current score
+      const filters = { is_primeurs: !!options.primeurs, ordering: '-date' };
+      const spinner = ora(`Fetching ${ids.length} wine(s)...`).start();
+      let fetched;
+      try {
+        fetched = [];
+        for (const id of ids) {
+          spinner.text = `Fetching ${options.lwin ? 'L-WIN' : 'wine'} ${id}...`;
+          const fetchPage = options.lwin ? (f) => getScoresByLwin(id, f) : (f) => getScoresByWineId(id, f);
+          fetched.push({ id, results: await fetchAllScores(fetchPage, filters) });
+        }
+      } finally {
+        spinner.stop();
+      }
+
+      const inRange = (vintage) => (!options.from || Number(vintage) >= Number(options.from)) &&
+        (!options.to || Number(vintage) <= Number(options.to));
+
+      const wines = fetched.map(({ id, results }) => {
+        const scores = {};
+        results.filter(wine => inRange(wine.vintage)).forEach(wine => {
+          const vintage = wine.vintage || 'NV';
+          if (!scores[vintage]) scores[vintage] = { score: wine.score, confidence_index: wine.confidence_index };
+        });
+        const best = Object.entries(scores).sort((a, b) => (b[1].score ?? 0) - (a[1].score ?? 0))[0];
+        return {
+          id,
+          wine_name: results[0] ? results[0].wine_name || results[0].wine : null,
+          best_vintage: best ? best[0] : null,
+          scores
+        };
+      });
+
+      const vintages = [...new Set(wines.flatMap(wine => Object.keys(wine.scores)))].sort();
+      const found = wines.filter(wine => wine.wine_name);
+      const missing = vintages.filter(vintage => found.some(wine => !wine.scores[vintage]));
+      wines.forEach(wine => {
+        wine.missing_vintages = vintages.filter(vintage => !wine.scores[vintage]);
+      });
+
+      const notFound = wines.filter(wine => !wine.wine_name).map(wine => wine.id);
+
+      if (resolveFormat(options) === 'table' && !options.output) {
+        console.log(chalk.bold('\nVintage Comparison\n'));
+        printTable(found, [
+          { key: 'wine_name', label: 'Wine', format: (v, row) => `${v} ${chalk.dim(`(${row.id})`)}` },
+          ...vintages.map(vintage => ({
+            key: vintage,
+            label: missing.includes(vintage) ? `${vintage}*` : vintage,
+            format: (_, row) => {
+              const cell = row.scores[vintage];
+              if (!cell) return chalk.dim('—');
+              const text = `${cell.score} ${cell.confidence_index || ''}`.trim();
+              return row.best_vintage === vintage ? chalk.inverse(scoreBand(cell.score)(`★${text}`)) : scoreBand(cell.score)(text);
+            }
+          }))
+        ]);
+        console.log(chalk.dim('\n★ best vintage per wine · bands: ') + scoreBand(95)('95+') + ' ' + scoreBand(92)('92+') + ' ' + scoreBand(89)('89+') + ' ' + scoreBand(0)('<89'));
+        if (missing.length > 0) {
+          console.log(chalk.yellow(`* Missing for some wines: ${missing.join(', ')}`));
+        }
+        if (notFound.length > 0) {
+          console.log(chalk.yellow(`No scores found for: ${notFound.join(', ')}`));
+        }
+        return;
+      }
+
+      const output = createOutput(options, {
+        title: 'Vintage Comparison',
+        // Delimited and Markdown output get one score column per vintage
+        toRow: (wine) => ({
+          id: wine.id,
+          wine_name: wine.wine_name,
+          best_vintage: wine.best_vintage,
+          ...Object.fromEntries(vintages.map(vintage => [vintage, wine.scores[vintage]?.score ?? '']))
+        }),
+        columns: [
+          { key: 'id', label: 'ID' },
+          { key: 'wine_name', label: 'Wine' },
+          { key: 'best_vintage', label: 'Best' },
+          ...vintages.map(vintage => ({ key: vintage, label: vintage }))
+        ]
+      });
+      const matrix = { vintages, missing_vintages: missing, not_found: notFound, count: wines.length, results: wines };
+      output.write(matrix);
+      await output.end(matrix);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// CHART
+// ============================================================
+
+withOutputOptions(program
+  .command('chart <id>')
+  .description('Score-by-vintage chart for one wine ID (or L-WIN-7 with --lwin)')
+  .option('--lwin', 'Treat the identifier as an L-WIN instead of a wine ID')
+  .option('--primeurs', 'Chart en primeur scores instead of bottled scores')
+  .option('--historical', 'Read the historical endpoint (business plan) first; falls back to latest scores without it')
+  .option('--height <rows>', 'Chart height in terminal rows (default: 12)')
+  .option('--svg <file>', 'Also write the chart as an SVG image')
+  .option('--html <file>', 'Also write the chart as a self-contained HTML page'))
+  .action(async (id, options) => {
+    requireAuth();
+
+    try {
+      const filters = { ...(options.lwin ? parseLwin(id).filters : { wine_id: id }), is_primeurs: !!options.primeurs };
+      let rows;
+      let source = 'latest';
+
+      await withSpinner('Fetching scores...', async () => {
+        // Historical data needs a business plan; fall back to latest scores on
+        // 403, or offline when only latest scores are cached
+        if (options.historical) {
+          try {
+            rows = await fetchAllScores(getHistoricalScores, filters);
+            source = 'historical';
+          } catch (error) {
+            if (!(error instanceof PlanRequiredError || error instanceof OfflineError)) throw error;
+          }
+        }
+        if (!rows) {
+          const fetchPage = options.lwin ? (f) => getScoresByLwin(id, f) : (f) => getScoresByWineId(id, f);
+          rows = await fetchAllScores(fetchPage, { is_primeurs: !!options.primeurs });
+        }
+      });
+
+      const points = chartPoints(rows);
+      if (points.length === 0) {
+        throw new NotFoundError(`No scores found for ${options.lwin ? 'L-WIN' : 'wine ID'} ${id}`);
+      }
+
+      const wineName = rows[0].wine_name || rows[0].wine;
+      const title = `${wineName}${options.primeurs ? ' (en primeur)' : ''}`;
+
+      if (options.svg) {
+        writeFileSync(options.svg, renderSvg(points, { title }));
+      }
+      if (options.html) {
+        writeFileSync(options.html, renderHtml(points, { title }));
+      }
+
+      if (resolveFormat(options) === 'table' && !options.output) {
+        console.log(chalk.bold(`\n${title}`) + chalk.dim(` — ${points.length} vintage(s), ${source} scores\n`));
+        console.log(`  ${renderSparkline(points)}  ${points[0].vintage}–${points[points.length - 1].vintage}\n`);
+        console.log(renderLineChart(points, {
+          height: options.height ? parseInt(options.height, 10) : 12,
+          colorize: (score, text) => scoreBand(score)(text),
+          dim: chalk.dim
+        }));
+        console.log(chalk.dim('\n● score · │ confidence band (narrower = higher confidence index)'));
+        if (options.svg) printSuccess(`SVG chart written to ${options.svg}`);
+        if (options.html) printSuccess(`HTML chart written to ${options.html}`);
+      } else {
+        const output = createOutput(options, {
+          title,
+          columns: [
+            { key: 'vintage', label: 'Vintage' },
+            { key: 'score', label: 'Score' },
+            { key: 'confidence_index', label: 'Confidence' },
+            { key: 'low', label: 'Low' },
+            { key: 'high', label: 'High' },
+            { key: 'date', label: 'Date' }
+          ]
+        });
+        const data = { wine_name: wineName, source, count: points.length, results: points };
+        output.write(data);
+        await output.end(data);
+      }
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// WINE ID
+// ============================================================
+
+withOutputOptions(program
+  .command('wine <id>')
+  .description('Get scores for a specific wine by ID'))
+  .action(async (id, options) => {
+    requireAuth();
+
+    try {
+      await outputScores(requireResults(() => getScoresByWineId(id), `No wine found with ID ${id}`), {}, options, {
+        title: `Wine ID: ${chalk.cyan(id)}`,
+        spinnerText: `Fetching wine ${id}...`,
+        columns: [
+          { key: 'wine_name', label: 'Wine' },
+          { key: 'vintage', label: 'Vintage' },
+          { key: 'score', label: 'Score', format: (v) => chalk.green(v) },
+          { key: 'confidence', label: 'Confidence' },
+          { key: 'appellation', label: 'Appellation' },
+          { key: 'color', label: 'Color' }
+        ]
+      });
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// LWIN
+// ============================================================
+
+/**
+ * A page fetcher that throws NotFoundError when the first page is empty
+ */
+function requireResults(fetchPage, message) {
+  return async (filters = {}) => {
+    const page = await fetchPage(filters);
+    if (!filters.offset && !filters.cursor && (page.results || []).length === 0) throw new NotFoundError(message);
+    return page;
+  };
+}
+
+withOutputOptions(program
+  .command('lwin <identifier>')
+  .description('Get scores by L-WIN identifier (LWIN-7, -11, -16 or -18)'))
+  .action(async (identifier, options) => {
+    requireAuth();
+
+    try {
+      const parsed = parseLwin(identifier);
+      await outputScores(requireResults(() => getScoresByLwin(parsed.lwin), `No wine found with L-WIN ${parsed.lwin}`), {}, options, {
+        title: `L-WIN: ${chalk.cyan(describeLwin(parsed))}`,
+        spinnerText: `Fetching L-WIN ${parsed.lwin}...`,
+        columns: [
+          { key: 'wine_name', label: 'Wine' },
+          { key: 'vintage', label: 'Vintage' },
+          { key: 'score', label: 'Score', format: (v) => chalk.green(v) },
+          { key: 'confidence', label: 'Confidence' },
+          { key: 'appellation', label: 'Appellation' },
+          { key: 'color', label: 'Color' }
+        ]
+      });
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// SIMILAR
+// ============================================================
+
+const SIMILAR_SCOPES = ['appellation', 'neighbours', 'region'];
+
+withOutputOptions(program
+  .command('similar <id>')
+  .description('Alternatives of similar quality to a wine ID (or L-WIN with --lwin): same color, nearby appellation and vintage')
+  .option('--lwin', 'Treat <id> as an L-WIN (LWIN-7, -11, -16 or -18)')
+  .option('--vintage <year>', 'Vintage of the reference wine (default: the L-WIN\'s, else the most recent scored)')
+  .option('--band <points>', `Greatest score difference either way (default: ${DEFAULT_SCORE_BAND})`)
+  .option('--window <years>', `Greatest vintage difference either way (default: ${DEFAULT_VINTAGE_WINDOW})`)
+  .option('--scope <scope>', `Where alternatives may come from: ${SIMILAR_SCOPES.join(', ')} (default: neighbours)`, 'neighbours')
+  .option('--neighbours <appellations>', 'More appellations to count as neighbours, comma-separated')
+  .option('--per-vintage', 'List every matching vintage of a wine, not only the most similar')
+  .option('--limit <n>', 'Number of alternatives (default: 20)')
+  .option('--scan <n>', `Most candidate scores to read (default: ${QUERY_SCAN})`))
+  .action(async (id, options) => {
+    requireAuth();
+
+    try {
+      if (!SIMILAR_SCOPES.includes(options.scope)) {
+        throw new GlobalWineScoreError(`Invalid --scope. Must be one of: ${SIMILAR_SCOPES.join(', ')}`);
+      }
+      const band = parseNumberOption(options.band, '--band') ?? DEFAULT_SCORE_BAND;
+      const window = parseNumberOption(options.window, '--window') ?? DEFAULT_VINTAGE_WINDOW;
+      const limit = resolveLimit(options, 20);
+      const scan = parseCountOption(options.scan, '--scan') ?? QUERY_SCAN;
+
+      const parsed = options.lwin ? parseLwin(id) : null;
+
+      const spinner = ora(`Fetching ${parsed ? 'L-WIN' : 'wine'} ${id}...`).start();
+      let reference;
+      let candidates = [];
+      try {
+        // Compare bottled scores unless the wine only has barrel scores
+        const rows = parsed ? await lookupScores(parsed.lwin, 'lwin') : await lookupScores(id, 'wine-id');
+        const bottled = rows.filter(row => !row.is_primeurs);
+        reference = pickResult(bottled.length > 0 ? bottled : rows, options.vintage || parsed?.vintage);
+        if (!reference) {
+          const vintage = options.vintage || parsed?.vintage;
+          throw new NotFoundError(`No scores found for ${parsed ? 'L-WIN' : 'wine ID'} ${id}${vintage ? ` in ${vintage}` : ''}`);
+        }
+        if (!reference.color) {
+          throw new Error(`The score for ${id} has no color to match alternatives on`);
+        }
+
+        const filters = { ordering: '-score', limit: Math.min(scan, PAGE_SIZE) };
+        const year = parseInt(reference.vintage);
+        if (!Number.isNaN(year)) filters.vintage = window >= 1 ? `${year - Math.floor(window)}..${year + Math.floor(window)}` : year;
+
+        // Pages arrive best score first, so stop once they fall below the band
+        const floor = Number(reference.score) - band;
+        spinner.text = `Scanning ${reference.color} wines...`;
+        for await (const page of paginate((f) => getScoresByColor(reference.color, f), filters, { max: scan })) {
+          candidates.push(...page.results.filter(row => !row.is_primeurs));
+          spinner.text = `Scanning ${reference.color} wines... (${candidates.length} read)`;
+          const last = page.results[page.results.length - 1];
+          if (last && Number(last.score) < floor) break;
+        }
+      } finally {
+        spinner.stop();
+      }
+
+      const similar = findSimilar(reference, candidates, {
+        band,
+        window,
+        scope: options.scope,
+        neighbours: options.neighbours ? options.neighbours.split(',').map(name => name.trim()).filter(Boolean) : [],
+        perVintage: !!options.perVintage
+      }).slice(0, limit);
+
+      const ref = formatWineResult(reference);
+      const columns = [
+        { key: 'similarity', label: 'Similarity', format: (v) => chalk.cyan(v) },
+        { key: 'wine_name', label: 'Wine' },
+        { key: 'vintage', label: 'Vintage' },
+        { key: 'score', label: 'Score', format: (v) => scoreBand(v)(v) },
+        { key: 'score_delta', label: 'Δ', format: formatDelta },
+        { key: 'confidence', label: 'Confidence' },
+        { key: 'appellation', label: 'Appellation' },
+        { key: 'match', label: 'Match' }
+      ];
+
+      if (resolveFormat(options) === 'table' && !options.output) {
+        console.log(chalk.bold(`\nAlternatives to ${ref.wine_name} ${ref.vintage}\n`));
+        console.log(`${ref.score} (${ref.confidence}) · ${ref.appellation} · ${ref.color}`);
+        console.log(chalk.dim(`Score within ±${band} · vintage within ±${window} · confidence ${ref.confidence} or better · scope: ${options.scope}`));
+        console.log('');
+        if (similar.length === 0) {
+          console.log(chalk.yellow('No comparable wines found. Try a wider --band, --window or --scope region.'));
+          return;
+        }
+        printTable(similar.map(toRecord), columns);
+        return;
+      }
+
+      const output = createOutput(options, {
+        title: `Alternatives to ${ref.wine_name} ${ref.vintage}`,
+        columns: [...columns, { key: 'wine_id', label: 'Wine ID' }, { key: 'lwin', label: 'LWIN' }]
+      });
+      const report = { reference, count: similar.length, results: similar };
+      output.write(report);
+      await output.end(report);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// ENRICH (bulk lookup)
+// ============================================================
+
+function readRecords(file) {
+  const text = readFileSync(file, 'utf8');
+  if (extname(file).toLowerCase() === '.json') {
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed) ? parsed : parsed.results || [];
+  }
+  return parseCsv(text, extname(file).toLowerCase() === '.tsv' ? '\t' : ',');
+}
+
+function writeRecords(file, rows) {
+  const ext = extname(file).toLowerCase();
+  if (ext === '.json') {
+    writeFileSync(file, JSON.stringify(rows, null, 2) + '\n');
+    return;
+  }
+  writeFileSync(file, toCsv(rows, undefined, ext === '.tsv' ? '\t' : ','));
+}
+
+function defaultUnmatchedPath(output) {
+  const ext = extname(output);
+  return `${output.slice(0, output.length - ext.length)}.unmatched${ext || '.csv'}`;
+}
+
+program
+  .command('enrich')
+  .description('Append scores to every row of a CSV/JSON inventory of LWINs or wine IDs')
+  .requiredOption('--input <file>', 'Input file (.csv, .tsv or .json array)')
+  .requiredOption('--output <file>', 'Output file (.csv, .tsv or .json)')
+  .option('--column <name>', 'Column holding the identifier (default: lwin)', 'lwin')
+  .option('--by <type>', 'Identifier type: lwin (LWIN-7, -11, -16 or -18) or wine-id (default: lwin)', 'lwin')
+  .option('--vintage-column <name>', 'Column holding the vintage to match (default: most recent vintage)')
+  .option('--unmatched <file>', 'Where to write rows with no score (default: <output>.unmatched.<ext>)')
+  .action(async (options) => {
+    requireAuth();
+
+    try {
+      if (!['lwin', 'wine-id'].includes(options.by)) {
+        throw new GlobalWineScoreError('Invalid --by. Must be one of: lwin, wine-id');
+      }
+
+      const rows = readRecords(options.input);
+      if (rows.length > 0 && !(options.column in rows[0])) {
+        throw new GlobalWineScoreError(`Column "${options.column}" not found in ${options.input}. Available: ${Object.keys(rows[0]).join(', ')}`);
+      }
+
+      const spinner = ora(`Looking up 0/${rows.length} rows...`).start();
+      let result;
+      try {
+        result = await enrichRows(rows, {
+          column: options.column,
+          by: options.by,
+          vintageColumn: options.vintageColumn,
+          onProgress: (done, total) => { spinner.text = `Looking up ${done}/${total} rows...`; }
+        });
+      } finally {
+        spinner.stop();
+      }
+
+      writeRecords(options.output, result.rows);
+      printSuccess(`Wrote ${result.rows.length} row(s) to ${options.output} (${result.matched} matched)`);
+
+      if (result.unmatched.length > 0) {
+        const unmatchedPath = options.unmatched || defaultUnmatchedPath(options.output);
+        writeRecords(unmatchedPath, result.unmatched);
+        console.log(chalk.yellow(`${result.unmatched.length} unmatched row(s) written to ${unmatchedPath}`));
+      }
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// SNAPSHOTS
+// ============================================================
+
+const snapshotCmd = program.command('snapshot').description('Store query results locally to track score movement over time');
+
+snapshotCmd
+  .command('create')
+  .description('Fetch every page of a query and store it as a snapshot')
+  .option('--name <name>', 'Label for the snapshot, usable in place of its ID')
+  .option('--wine-id <id>', 'Filter by wine ID')
+  .option('--vintage <years>', 'Filter by vintage: a year, range (2009..2016) or list (2010,2015)')
+  .option('--color <colors>', 'Filter by color: red, white, pink, or several (red,white)')
+  .option('--lwin <lwin>', 'Filter by L-WIN identifier (LWIN-7, -11, -16 or -18)')
+  .option('--lwin-11 <lwin11>', 'Filter by L-WIN 11 identifier')
+  .option('--primeurs', 'Only en primeur scores')
+  .option('--max <n>', 'Stop after n results (default: every page)')
+  .action(async (options) => {
+    requireAuth();
+
+    try {
+      const filters = {};
+
+      if (options.wineId) filters.wine_id = options.wineId;
+      if (options.vintage) filters.vintage = options.vintage;
+      if (options.color) filters.color = options.color;
+      Object.assign(filters, lwinOptionFilters(options));
+      if (options.primeurs) filters.is_primeurs = true;
+
+      const max = parseCountOption(options.max, '--max');
+      const spinner = ora('Fetching page 1...').start();
+      let pageNumber = 1;
+      let snapshot;
+      try {
+        const pages = paginate(getLatestScores, { ...filters, limit: Math.min(max || PAGE_SIZE, PAGE_SIZE) }, { max });
+        snapshot = await storeSnapshot(pages, {
+          name: options.name,
+          filters,
+          onPage: (stored) => {
+            spinner.text = `Fetching page ${++pageNumber}... (${stored} stored)`;
+          }
+        });
+      } finally {
+        spinner.stop();
+      }
+
+      printSuccess(`Snapshot ${chalk.cyan(snapshot.id)}${options.name ? ` (${options.name})` : ''} stored with ${snapshot.count} score(s)`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+snapshotCmd
+  .command('list')
+  .description('List stored snapshots')
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    const snapshots = listSnapshots();
+
+    if (options.json) {
+      printJson(snapshots);
+      return;
+    }
+
+    console.log(chalk.bold('\nSnapshots\n'));
+    printTable(snapshots.map(snapshot => ({
+      ...snapshot,
+      filters: Object.entries(snapshot.filters).map(([key, value]) => `${key}=${value}`).join(' ') || 'none'
+    })), [
+      { key: 'id', label: 'ID', format: (v) => chalk.cyan(v) },
+      { key: 'name', label: 'Name', format: (v) => v || '' },
+      { key: 'createdAt', label: 'Created', format: (v) => new Date(v).toLocaleString() },
+      { key: 'count', label: 'Scores' },
+      { key: 'filters', label: 'Filters' }
+    ]);
+  });
+
+snapshotCmd
+  .command('delete <ref>')
+  .description('Delete a snapshot by ID or name')
+  .action((ref) => {
+    try {
+      const snapshot = deleteSnapshot(ref);
+      printSuccess(`Deleted snapshot ${snapshot.id}`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// DIFF
+// ============================================================
+
+withOutputOptions(program
+  .command('diff <from> <to>')
+  .description('Report scores that changed, appeared or disappeared between two snapshots (ID, name, latest or previous)')
+  .option('--min-change <n>', 'Ignore score moves smaller than n points')
+  .option('--only <change>', `Only show one kind of change (${CHANGE_KINDS.join(', ')})`))
+  .action(async (from, to, options) => {
+    try {
+      if (options.only && !CHANGE_KINDS.includes(options.only)) {
+        throw new GlobalWineScoreError(`Invalid --only. Must be one of: ${CHANGE_KINDS.join(', ')}`);
+      }
+      const before = loadSnapshot(from);
+      const after = loadSnapshot(to);
+      let changes = diffSnapshots(before, after, {
+        minChange: options.minChange ? parseFloat(options.minChange) : 0
+      });
+
+      if (options.only) changes = changes.filter(change => change.change === options.only);
+
+      const signed = (v) => v === null ? '' : v > 0 ? chalk.green(`+${v}`) : v < 0 ? chalk.red(String(v)) : String(v);
+      const output = createOutput(options, {
+        title: `Diff ${before.id} → ${after.id}`,
+        emptyMessage: 'No changes.',
+        toRow: (row) => row,
+        columns: [
+          { key: 'change', label: 'Change', format: (v) => ({ changed: chalk.yellow(v), appeared: chalk.green(v), disappeared: chalk.red(v) })[v] },
+          { key: 'wine_name', label: 'Wine' },
+          { key: 'vintage', label: 'Vintage' },
+          { key: 'old_score', label: 'Old', format: (v) => v ?? '' },
+          { key: 'new_score', label: 'New', format: (v) => v ?? '' },
+          { key: 'delta', label: 'Δ', format: signed },
+          { key: 'old_confidence', label: 'Old Conf.', format: (v) => v ?? '' },
+          { key: 'new_confidence', label: 'New Conf.', format: (v) => v ?? '' }
+        ]
+      });
+
+      const meta = { count: changes.length, from: before.id, to: after.id, results: changes };
+      output.write(meta);
+      await output.end(meta);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// WATCHLIST
+// ============================================================
+
+// Exit status of `watch check` when at least one alert fired
+const EXIT_ALERTS = 2;
+
+const watchCmd = program.command('watch').description('Follow specific wines and alert on score changes');
+
+function parseNumberOption(value, name) {
+  if (value === undefined) return undefined;
+  const number = parseFloat(value);
+  if (Number.isNaN(number)) {
+    printError(`Invalid ${name}: ${value}`);
+    process.exit(1);
+  }
+  return number;
+}
+
+watchCmd
+  .command('add <id>')
+  .description('Watch a wine ID, or an L-WIN with --lwin')
+  .option('--lwin', 'Treat <id> as an L-WIN (LWIN-7, -11, -16 or -18)')
+  .option('--vintage <year>', 'Vintage to follow (default: most recent scored vintage)')
+  .option('--label <name>', 'Display name')
+  .option('--above <score>', 'Alert when the score rises to or above this')
+  .option('--below <score>', 'Alert when the score falls to or below this')
+  .option('--change <points>', 'Alert when the score moves by at least this many points')
+  .action((id, options) => {
+    const entry = { type: options.lwin ? 'lwin' : 'wine-id', id };
+
+    if (options.lwin) {
+      try {
+        entry.id = parseLwin(id).lwin;
+      } catch (error) {
+        exitWithError(error);
+      }
+    }
+
+    if (options.vintage) entry.vintage = options.vintage;
+    if (options.label) entry.label = options.label;
+    if (options.above) entry.above = parseNumberOption(options.above, '--above');
+    if (options.below) entry.below = parseNumberOption(options.below, '--below');
+    if (options.change) entry.change = parseNumberOption(options.change, '--change');
+
+    if (entry.above === undefined && entry.below === undefined && entry.change === undefined) {
+      printError('No alert condition. Use --above, --below or --change');
+      process.exit(1);
+    }
+
+    try {
+      const replaced = addWatch(entry);
+      printSuccess(`${replaced ? 'Updated' : 'Watching'} ${entry.type === 'lwin' ? 'L-WIN' : 'wine'} ${entry.id}${entry.vintage ? ` (${entry.vintage})` : ''}`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+watchCmd
+  .command('remove <id>')
+  .description('Stop watching a wine ID or L-WIN')
+  .option('--vintage <year>', 'Only remove the entry for this vintage')
+  .action((id, options) => {
+    const removed = removeWatch(id, options.vintage);
+    if (removed === 0) {
+      printError(`${id} is not on the watchlist`);
+      process.exit(1);
+    }
+    printSuccess(`Removed ${removed} watchlist entr${removed === 1 ? 'y' : 'ies'}`);
+  });
+
+function describeConditions(entry) {
+  const conditions = [];
+  if (entry.above !== undefined) conditions.push(`≥ ${entry.above}`);
+  if (entry.below !== undefined) conditions.push(`≤ ${entry.below}`);
+  if (entry.change !== undefined) conditions.push(`±${entry.change}`);
+  return conditions.join(', ');
+}
+
+watchCmd
+  .command('list')
+  .description('Show the watchlist')
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    const watchlist = getWatchlist();
+
+    if (options.json) {
+      printJson(watchlist);
+      return;
+    }
+
+    console.log(chalk.bold('\nWatchlist\n'));
+    printTable(watchlist.map(entry => ({ ...entry, conditions: describeConditions(entry) })), [
+      { key: 'id', label: 'ID', format: (v, row) => `${v}${row.type === 'lwin' ? chalk.dim(' (lwin)') : ''}` },
+      { key: 'vintage', label: 'Vintage', format: (v) => v || chalk.dim('latest') },
+      { key: 'label', label: 'Label', format: (v) => v || '' },
+      { key: 'conditions', label: 'Alert When' },
+      { key: 'lastScore', label: 'Last Score', format: (v) => v ?? chalk.dim('never checked') },
+      { key: 'lastCheckedAt', label: 'Checked', format: (v) => v ? new Date(v).toLocaleString() : '' }
+    ]);
+  });
+
+watchCmd
+  .command('check')
+  .description(`Re-query every watched wine; exits ${EXIT_ALERTS} when an alert fires`)
+  .option('--webhook <url>', 'POST alerts to this URL (default: configured webhook URL)')
+  .option('--no-webhook', 'Do not POST alerts even if a webhook URL is configured')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth();
+
+    if (getWatchlist().length === 0) {
+      printError('Watchlist is empty. Add wines with: globalwinescore watch add <id> --above <score>');
+      process.exit(1);
+    }
+
+    try {
+      const spinner = ora('Checking watchlist...').start();
+      let results;
+      try {
+        results = await checkWatchlist({
+          onProgress: (done, total) => { spinner.text = `Checking watchlist ${done}/${total}...`; }
+        });
+      } finally {
+        spinner.stop();
+      }
+
+      // Report a failure that hit every entry, e.g. a rejected token, as such
+      const failed = results.filter(result => result.error);
+      if (failed.length === results.length) throw failed[0].error;
+
+      const alerted = results.filter(result => result.alerts.length > 0);
+      const webhookUrl = options.webhook === false ? '' : options.webhook || getConfig('webhookUrl');
+      // Scores are kept only once alerts are delivered, so a failed webhook
+      // fires the same alerts again on the next check
+      let webhookError = null;
+      if (alerted.length > 0 && webhookUrl) {
+        try {
+          await sendWebhook(webhookUrl, alerted);
+        } catch (error) {
+          webhookError = error;
+        }
+      }
+      if (!webhookError) recordCheck(results);
+
+      if (options.json) {
+        printJson(results.map(({ entry: { lastScore, lastConfidence, lastCheckedAt, ...entry }, wine, score, previous, alerts, error }) => ({
+          ...entry,
+          wine_name: wine?.wine_name || wine?.wine || null,
+          vintage: wine?.vintage ?? entry.vintage ?? null,
+          score,
+          previous_score: previous,
+          confidence_index: wine?.confidence_index ?? null,
+          alerts,
+          ...(error ? { error: serializeError(error) } : {})
+        })));
+      } else {
+        console.log(chalk.bold('\nWatchlist Check\n'));
+        printTable(results.map(({ entry, wine, score, previous, alerts, error }) => ({
+          wine_name: entry.label || wine?.wine_name || wine?.wine || entry.id,
+          vintage: wine?.vintage ?? entry.vintage ?? '',
+          score,
+          previous,
+          alerts: error ? error.message : alerts.join('; '),
+          error
+        })), [
+          { key: 'wine_name', label: 'Wine' },
+          { key: 'vintage', label: 'Vintage' },
+          { key: 'score', label: 'Score', format: (v, row) => row.error ? chalk.red('error') : v === null ? chalk.yellow('not found') : chalk.green(v) },
+          { key: 'previous', label: 'Previous', format: (v) => v ?? chalk.dim('-') },
+          { key: 'alerts', label: 'Alerts', format: (v) => v ? chalk.red(v) : chalk.dim('none') }
+        ]);
+
+        if (alerted.length > 0) {
+          console.log(chalk.red(`\n${alerted.length} alert(s)`) + (webhookUrl && !webhookError ? chalk.dim(` sent to ${webhookUrl}`) : ''));
+        }
+      }
+
+      if (failed.length > 0) {
+        console.error(chalk.yellow(`⚠ ${failed.length} of ${results.length} wine(s) could not be checked and kept their previous score.`));
+      }
+      if (webhookError) {
+        console.error(chalk.yellow(`⚠ ${webhookError.message}. Scores were not recorded; the alerts will fire again on the next check.`));
+      }
+
+      if (alerted.length > 0) process.exit(EXIT_ALERTS);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// CELLAR
+// ============================================================
+
+const cellarCmd = program.command('cellar').description('Track a cellar inventory and report its value against scores');
+
+cellarCmd
+  .command('import <file>')
+  .description('Load holdings from a CSV/JSON inventory of L-WINs (replaces the cellar unless --merge)')
+  .option('--lwin-column <name>', 'Column holding the L-WIN (default: lwin)', 'lwin')
+  .option('--quantity-column <name>', 'Column holding the bottle count (default: quantity)', 'quantity')
+  .option('--price-column <name>', 'Column holding the price per bottle (default: price)', 'price')
+  .option('--vintage-column <name>', 'Column holding the vintage, for LWIN-7 codes')
+  .option('--name-column <name>', 'Column holding a display name')
+  .option('--merge', 'Add to the existing cellar instead of replacing it')
+  .action((file, options) => {
+    try {
+      const rows = readRecords(file);
+      if (rows.length > 0 && !(options.lwinColumn in rows[0])) {
+        throw new GlobalWineScoreError(`Column "${options.lwinColumn}" not found in ${file}. Available: ${Object.keys(rows[0]).join(', ')}`);
+      }
+
+      const result = importCellar(rows, {
+        lwinColumn: options.lwinColumn,
+        quantityColumn: options.quantityColumn,
+        priceColumn: options.priceColumn,
+        vintageColumn: options.vintageColumn,
+        nameColumn: options.nameColumn,
+        merge: options.merge
+      });
+
+      printSuccess(`Imported ${result.imported} row(s); the cellar holds ${result.total} wine(s)`);
+      if (result.skipped.length > 0) {
+        console.log(chalk.yellow(`${result.skipped.length} row(s) skipped:`));
+        result.skipped.forEach(({ line, reason }) => console.log(chalk.yellow(`  line ${line}: ${reason}`)));
+      }
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+cellarCmd
+  .command('list')
+  .description('Show the stored holdings')
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    let cellar;
+    try {
+      cellar = getCellar();
+    } catch (error) {
+      exitWithError(error);
+    }
+
+    if (options.json) {
+      printJson(cellar);
+      return;
+    }
+
+    console.log(chalk.bold('\nCellar\n'));
+    printTable(cellar, [
+      { key: 'lwin', label: 'L-WIN' },
+      { key: 'vintage', label: 'Vintage', format: (v) => v || chalk.dim('latest') },
+      { key: 'name', label: 'Name', format: (v) => v || '' },
+      { key: 'quantity', label: 'Bottles' },
+      { key: 'price', label: 'Price', format: (v) => v ?? chalk.dim('-') }
+    ]);
+    if (cellar.length > 0) {
+      console.log(chalk.dim(`\n${cellar.length} wine(s), ${cellar.reduce((sum, h) => sum + h.quantity, 0)} bottle(s)`));
+    }
+  });
+
+cellarCmd
+  .command('clear')
+  .description('Remove every holding')
+  .action(() => {
+    printSuccess(`Removed ${clearCellar()} holding(s)`);
+  });
+
+function holdingLabel(holding) {
+  return holding.wine_name || holding.name || holding.lwin;
+}
+
+const VALUE_COLUMNS = [
+  { key: 'value_rank', label: '#' },
+  { key: 'wine', label: 'Wine' },
+  { key: 'vintage', label: 'Vintage' },
+  { key: 'quantity', label: 'Bottles' },
+  { key: 'price', label: 'Price' },
+  { key: 'score', label: 'Score', format: (v) => scoreBand(v)(v) },
+  { key: 'confidence_index', label: 'Confidence', format: (v) => v || '' },
+  { key: 'points_per_100', label: 'Pts/100' },
+  { key: 'price_per_point', label: 'Price/Pt', format: (v) => v ?? chalk.dim('-') }
+];
+
+cellarCmd
+  .command('report')
+  .description('Join holdings with scores: value per price, best and worst performers, gaps in coverage')
+  .option('--top <n>', 'Holdings in each of the best and worst value lists (default: 5)', '5')
+  .option('--export <file>', 'Also write the report to a .csv or .html file')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth();
+
+    try {
+      const top = parseInt(options.top);
+      if (!(top > 0)) {
+        throw new GlobalWineScoreError(`Invalid --top: ${options.top}`);
+      }
+      const exportFormat = options.export ? extname(options.export).toLowerCase() : null;
+      if (exportFormat && !['.csv', '.html'].includes(exportFormat)) {
+        throw new GlobalWineScoreError('Invalid --export. The file must end in .csv or .html');
+      }
+
+      if (getCellar().length === 0) {
+        throw new GlobalWineScoreError('The cellar is empty. Load an inventory with: globalwinescore cellar import <file>');
+      }
+
+      const spinner = ora('Looking up scores...').start();
+      let report;
+      try {
+        report = await cellarReport({
+          top,
+          onProgress: (done, total) => { spinner.text = `Looking up scores ${done}/${total}...`; }
+        });
+      } finally {
+        spinner.stop();
+      }
+
+      if (options.export) {
+        writeFileSync(options.export, exportFormat === '.csv' ? reportToCsv(report) : reportToHtml(report));
+      }
+
+      if (options.json) {
+        printJson(report);
+        return;
+      }
+
+      const { summary } = report;
+      const withLabel = (rows) => rows.map(holding => ({ ...holding, wine: holdingLabel(holding) }));
+      console.log(chalk.bold('\nCellar Report\n'));
+      console.log(`  Holdings:      ${summary.holdings} (${summary.bottles} bottles)`);
+      console.log(`  Total cost:    ${summary.cost}`);
+      console.log(`  Coverage:      ${summary.covered} of ${summary.holdings} scored (${summary.coverage}%)`);
+      if (summary.average_score !== null) console.log(`  Average score: ${summary.average_score} ${chalk.dim('(per bottle)')}`);
+      if (summary.average_price !== null) console.log(`  Average price: ${summary.average_price} ${chalk.dim('(per bottle)')}`);
+      if (summary.points_per_100 !== null) console.log(`  Points / 100:  ${summary.points_per_100} ${chalk.dim('(score per 100 spent, across priced holdings)')}`);
+
+      if (report.top.length > 0) {
+        console.log(chalk.bold('\nBest value\n'));
+        printTable(withLabel(report.top), VALUE_COLUMNS);
+      }
+      if (report.bottom.length > 0) {
+        console.log(chalk.bold('\nWorst value\n'));
+        printTable(withLabel(report.bottom), VALUE_COLUMNS);
+      }
+      if (report.uncovered.length > 0) {
+        console.log(chalk.bold('\nNo score coverage\n'));
+        printTable(withLabel(report.uncovered), [
+          { key: 'lwin', label: 'L-WIN' },
+          { key: 'wine', label: 'Wine' },
+          { key: 'quantity', label: 'Bottles' },
+          { key: 'reason', label: 'Reason', format: (v) => chalk.yellow(v) }
+        ]);
+      }
+
+      const unpriced = report.holdings.filter(holding => holding.score !== null && holding.points_per_100 === null).length;
+      if (unpriced > 0) {
+        console.log(chalk.dim(`\n${unpriced} scored holding(s) have no price and are not ranked`));
+      }
+      if (options.export) {
+        console.log('');
+        printSuccess(`Report written to ${options.export}`);
+      }
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// EXPORT
+// ============================================================
+
+const EXPORT_FORMATS = {
+  '.xlsx': 'xlsx',
+  '.csv': 'cellartracker',
+  '.html': 'html',
+  '.htm': 'html'
+};
+
+program
+  .command('export <file>')
+  .description('Write query results to an XLSX workbook, a CellarTracker CSV or an HTML report')
+  .option('--format <format>', 'xlsx, cellartracker or html (default: from the file extension)')
+  .option('--split-by <field>', `One sheet/section per: ${SPLIT_BY.join(', ')} (default: color)`, 'color')
+  .option('--title <title>', 'Title of the HTML report')
+  .option('--input <file>', 'Export a saved --json output (or .csv/.tsv) instead of querying')
+  .option('--wine-id <id>', 'Filter by wine ID')
+  .option('--vintage <years>', 'Filter by vintage: a year, range (2009..2016) or list (2010,2015)')
+  .option('--color <colors>', 'Filter by color: red, white, pink, or several (red,white)')
+  .option('--lwin <lwin>', 'Filter by L-WIN identifier (LWIN-7, -11, -16 or -18)')
+  .option('--lwin-11 <lwin11>', 'Filter by L-WIN 11 identifier')
+  .option('--primeurs', 'Only en primeur scores')
+  .option('--ordering <field>', 'Sort order (score, -score, date, -date)')
+  .option('--limit <n>', 'Number of results (default: 100)')
+  .option('--all', 'Fetch every page of results')
+  .option('--max <n>', 'Fetch pages until n results')
+  .option('--where <expr>', 'Keep only the fetched rows matching an expression, e.g. "score >= 92"')
+  .option('--sort <keys>', 'Sort the rows, e.g. "-score,vintage"')
+  .action(async (file, options) => {
+    try {
+      const format = options.format ? options.format.toLowerCase() : EXPORT_FORMATS[extname(file).toLowerCase()];
+      if (!Object.values(EXPORT_FORMATS).includes(format)) {
+        throw new GlobalWineScoreError(options.format
+          ? 'Invalid --format. Must be one of: xlsx, cellartracker, html'
+          : 'Cannot tell the format from the file name. Use a .xlsx, .csv or .html file, or --format');
+      }
+      if (!SPLIT_BY.includes(options.splitBy)) {
+        throw new GlobalWineScoreError(`Invalid --split-by. Must be one of: ${SPLIT_BY.join(', ')}`);
+      }
+      if (!options.input) requireAuth();
+
+      const where = options.where ? compileWhere(options.where) : null;
+      const sort = options.sort ? compileSort(options.sort) : null;
+
+      let rows;
+      if (options.input) {
+        rows = readRecords(options.input);
+      } else {
+        const filters = { limit: resolveLimit(options, 100) };
+        if (options.wineId) filters.wine_id = options.wineId;
+        if (options.vintage) filters.vintage = options.vintage;
+        if (resolveColor(options)) filters.color = resolveColor(options);
+        Object.assign(filters, lwinOptionFilters(options));
+        if (options.primeurs) filters.is_primeurs = true;
+        if (options.ordering) filters.ordering = options.ordering;
+
+        const max = parseCountOption(options.max, '--max');
+        rows = [];
+        const spinner = ora('Fetching scores...').start();
+        try {
+          if (isStreaming(options)) {
+            let pageNumber = 1;
+            for await (const page of paginate(getLatestScores, { ...filters, limit: Math.min(max || PAGE_SIZE, PAGE_SIZE) }, { max })) {
+              rows.push(...page.results);
+              spinner.text = `Fetching page ${++pageNumber}... (${rows.length} scores)`;
+            }
+          } else {
+            rows = (await getLatestScores(filters)).results;
+          }
+        } finally {
+          spinner.stop();
+        }
+      }
+
+      if (where) {
+        checkFields(where.fields, rows);
+        rows = rows.filter(where);
+      }
+      if (sort) rows = [...rows].sort(sort);
+      const records = rows.map(toRecord);
+
+      if (format === 'xlsx') {
+        writeFileSync(file, toWorkbook(records, { splitBy: options.splitBy }));
+      } else if (format === 'cellartracker') {
+        writeFileSync(file, toCellarTrackerCsv(records));
+      } else {
+        writeFileSync(file, toHtmlReport(records, { splitBy: options.splitBy, title: options.title }));
+      }
+
+      const groups = format === 'cellartracker' ? 1 : splitRecords(records, options.splitBy).length;
+      printSuccess(`Wrote ${records.length} score(s) to ${file}${groups > 1 ? ` (${groups} ${format === 'xlsx' ? 'sheets' : 'sections'})` : ''}`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// INTERACTIVE
+// ============================================================
+
+program
+  .command('interactive')
+  .description('Browse scores in a full-screen terminal UI')
+  .option('--color <color>', 'Initial color filter (red, white, pink)')
+  .option('--vintage <years>', 'Initial vintage filter: a year or a range (2009..2016)')
+  .option('--primeurs', 'Start with en primeur scores')
+  .option('--min-score <score>', 'Initial minimum score')
+  .action(async (options) => {
+    requireAuth();
+
+    try {
+      if (!process.stdin.isTTY || !process.stdout.isTTY) {
+        throw new GlobalWineScoreError('Interactive mode needs a terminal. Use latest, top or color for scripted output.');
+      }
+
+      const vintages = options.vintage ? parseVintages(options.vintage).map(Number) : [];
+      await runInteractive({
+        columns: [
+          { key: 'wine_name', label: 'Wine' },
+          { key: 'vintage', label: 'Vintage' },
+          { key: 'score', label: 'Score' },
+          { key: 'confidence', label: 'Confidence' },
+          { key: 'color', label: 'Color' },
+          { key: 'appellation', label: 'Appellation' }
+        ],
+        toRow: toRecord,
+        filters: {
+          color: resolveColor(options) || null,
+          from: vintages.length > 0 ? Math.min(...vintages) : null,
+          to: vintages.length > 0 ? Math.max(...vintages) : null,
+          primeurs: options.primeurs ? 'yes' : 'no',
+          minScore: options.minScore ? parseFloat(options.minScore) : null
+        }
+      });
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// HISTORICAL (requires business plan)
+// ============================================================
+
+withQueryOptions(withOutputOptions(program
+  .command('historical')
+  .description('Get historical score data (requires business plan)')
+  .option('--wine-id <id>', 'Filter by wine ID')
+  .option('--vintage <years>', 'Filter by vintage: a year, range (2009..2016) or list (2010,2015)')
+  .option('--limit <n>', 'Number of results (default: 20)')
+  .option('--all', 'Fetch every page of results, streaming rows as they arrive')
+  .option('--max <n>', 'Fetch pages until n results have been streamed')))
+  .action(async (options) => {
+    requireAuth();
+
+    try {
+      const filters = {
+        limit: resolveLimit(options, 20)
+      };
+
+      if (options.wineId) filters.wine_id = options.wineId;
+      if (options.vintage) filters.vintage = options.vintage;
+
+      const data = await outputScores(getHistoricalScores, filters, options, {
+        title: 'Historical GlobalWineScores',
+        spinnerText: 'Fetching historical scores...',
+        columns: [
+          { key: 'wine_name', label: 'Wine' },
+          { key: 'vintage', label: 'Vintage' },
+          { key: 'score', label: 'Score', format: (v) => chalk.green(v) },
+          { key: 'confidence', label: 'Confidence' },
+          { key: 'appellation', label: 'Appellation' }
+        ]
+      });
+
+      if (showsPageHint(data, options) && data.count > data.results.length) {
+        console.log(chalk.dim(`\nShowing ${data.results.length} of ${data.count} total results`));
+      }
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// MOCK SERVER
+// ============================================================
+
+program
+  .command('mock-server')
+  .description('Serve the scores endpoints locally from fixture files, for offline testing')
+  .option('--port <n>', 'Port to listen on (default: 8787)', '8787')
+  .option('--host <host>', 'Interface to bind (default: 127.0.0.1)', '127.0.0.1')
+  .option('--fixtures <dir>', 'Directory with latest.json and historical.json (default: bundled fixtures)')
+  .option('--token <token>', 'Only accept this API token; others get 401 (default: any token)')
+  .option('--business-token <token>', 'Only this token may use the historical endpoint; others get 403')
+  .option('--rate-limit <n>', 'Answer 429 after n requests per minute (default: unlimited)')
+  .option('--quiet', 'Do not log requests')
+  .action((options) => {
+    let server;
+    try {
+      server = createMockServer({
+        fixturesDir: options.fixtures,
+        token: options.token,
+        businessToken: options.businessToken,
+        rateLimit: options.rateLimit ? parseInt(options.rateLimit) : undefined,
+        logger: options.quiet ? undefined : (line) => console.log(chalk.dim(`${new Date().toISOString()} `) + line)
+      });
+    } catch (error) {
+      printError(`Could not load fixtures: ${error.message}`);
+      process.exit(1);
+    }
+
+    server.on('error', (error) => {
+      exitWithError(error);
+    });
+
+    server.listen(parseInt(options.port), options.host, () => {
+      const url = `http://${options.host}:${server.address().port}`;
+      printSuccess(`Mock GlobalWineScore API listening on ${chalk.cyan(url)}`);
+      console.log(chalk.dim(`  globalwinescore --base-url ${url} latest`));
+      console.log(chalk.dim('  Press Ctrl+C to stop'));
+    });
+  });
+
+// ============================================================
+// SERVE
+// ============================================================
+
+program
+  .command('serve')
+  .description('Run a local REST server in front of the API with shared caching and rate limiting')
+  .option('--port <n>', 'Port to listen on (default: 8080)', '8080')
+  .option('--host <host>', 'Interface to bind (default: 127.0.0.1)', '127.0.0.1')
+  .option('--cors [origin]', 'Send CORS headers allowing this origin (default: *)')
+  .option('--api-key <key>', 'Require this key from clients (X-API-Key header or ?api_key=)')
+  .option('--max-scan <n>', 'Most upstream rows read per /stats or /wines/:id/vintages request (default: 1000)')
+  .option('--quiet', 'Do not log requests')
+  .action((options) => {
+    requireAuth();
+
+    const server = createProxyServer({
+      apiKey: options.apiKey,
+      cors: options.cors === true ? '*' : options.cors,
+      maxScan: options.maxScan ? parseInt(options.maxScan) : undefined,
+      logger: options.quiet ? undefined : (line) => console.log(chalk.dim(`${new Date().toISOString()} `) + line)
+    });
+
+    server.on('error', (error) => {
+      exitWithError(error);
+    });
+
+    server.listen(parseInt(options.port), options.host, () => {
+      const url = `http://${options.host}:${server.address().port}`;
+      printSuccess(`GlobalWineScore proxy listening on ${chalk.cyan(url)}`);
+      console.log(chalk.dim(`  curl ${url}/search?q=margaux`));
+      console.log(chalk.dim(`  globalwinescore --base-url ${url} latest`));
+      console.log(chalk.dim('  Press Ctrl+C to stop'));
+    });
+  });
+
+// ============================================================
+// MCP
+// ============================================================
+
+program
+  .command('mcp')
+  .description('Serve score tools over the Model Context Protocol (stdio) for AI assistants')
+  .action(async () => {
+    requireAuth();
+
+    try {
+      await runMcpServer({
+        version: program.version(),
+        logger: program.opts().verbose ? (line) => console.error(chalk.dim(`[mcp] ${line}`)) : undefined
+      });
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// Parse
+// ============================================================
+
+// Actions are async; anything that escapes one still exits through exitWithError
+program.parseAsync(process.argv).catch(exitWithError);
+
+if (process.argv.length <= 2) {
+  program.help();
+}
@@ -0,0 +1,412 @@
+import axios from 'axios';
+import { createHash } from 'crypto';
+import { createRateLimiter, backoffDelay, sleep } from './ratelimit.js';
+import { matchScore } from './search.js';
+import { parseLwin } from './lwin.js';
+import { expandFilters, fetchMerged } from './fanout.js';
+import { GlobalWineScoreError, AuthError, PlanRequiredError, RateLimitError, NotFoundError, NetworkError, OfflineError } from './errors.js';
+
+export const DEFAULT_BASE_URL = 'https://api.globalwinescore.com';
+
+const LATEST_ENDPOINT = '/globalwinescores/latest/';
+const HISTORICAL_ENDPOINT = '/globalwinescores/';
+
+// Upstream pages a client keeps in memory for fanned-out queries, and for how long
+const FAN_OUT_PAGES = 200;
+const FAN_OUT_TTL = 60 * 1000;
+
+/**
+ * Default HTTP adapter. Adapters take { method, url, headers, params } and
+ * resolve with { status, headers, data } for every HTTP response, rejecting
+ * only when no response arrived (DNS, connection, timeout).
+ */
+export async function axiosAdapter({ method, url, headers, params }) {
+  const response = await axios.request({ method, url, headers, params, validateStatus: () => true });
+  return { status: response.status, headers: response.headers, data: response.data };
+}
+
+/**
+ * Iterate over pages of a paginated scores endpoint, following the API's
+ * `next` cursor (falling back to limit/offset) until results run out
+ * @param {Function} fetchPage - Page fetcher taking filters, e.g. client.getLatestScores
+ * @param {Object} filters - Query filters for the first page
+ * @param {Object} options
+ * @param {number} options.max - Stop after this many results in total
+ * @yields {Object} Raw page ({ count, next, previous, results })
+ */
+export async function* paginate(fetchPage, filters = {}, options = {}) {
+  const max = options.max ?? Infinity;
+  let pageFilters = { ...filters };
+  let seen = 0;
+
+  while (seen < max) {
+    const remaining = max - seen;
+    if (pageFilters.limit && remaining < pageFilters.limit) pageFilters.limit = remaining;
+
+    const page = await fetchPage(pageFilters);
+    const results = (page.results || []).slice(0, remaining);
+    if (results.length === 0) return;
+
+    seen += results.length;
+    yield { ...page, results };
+
+    if (!page.next) return;
+    pageFilters = { ...pageFilters, ...nextPageFilters(page.next, pageFilters, results.length) };
+  }
+}
+
+function nextPageFilters(next, current, received) {
+  try {
+    const params = new URL(next).searchParams;
+    const cursor = {};
+    if (params.has('offset')) cursor.offset = parseInt(params.get('offset'));
+    if (params.has('limit')) cursor.limit = parseInt(params.get('limit'));
+    // Merged multi-value queries resume each underlying query from here
+    if (params.has('cursor')) cursor.cursor = params.get('cursor');
+    if (cursor.offset !== undefined) return cursor;
+  } catch {
+    // Not an absolute URL; fall through to offset arithmetic
+  }
+  return { offset: (current.offset || 0) + received };
+}
+
+function buildParams(filters) {
+  const params = {};
+
+  if (filters.wine_id) params.wine_id = filters.wine_id;
+  if (filters.vintage) params.vintage = filters.vintage;
+  if (filters.color) params.color = filters.color;
+  if (filters.is_primeurs !== undefined) params.is_primeurs = filters.is_primeurs;
+  if (filters.lwin) params.lwin = filters.lwin;
+  if (filters.lwin_11) params.lwin_11 = filters.lwin_11;
+  if (filters.limit) params.limit = filters.limit;
+  if (filters.offset) params.offset = filters.offset;
+  if (filters.ordering) params.ordering = filters.ordering;
+
+  return params;
+}
+
+function isRetryable(status) {
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+/**
+ * Client for the GlobalWineScore API
+ *
+ * @example
+ * const client = new GlobalWineScoreClient({ token: process.env.GWS_API_TOKEN });
+ * for await (const wine of client.iterateScores({ vintage: 2015, color: 'red' })) {
+ *   console.log(wine.wine, wine.score);
+ * }
+ */
+export class GlobalWineScoreClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.token - API token
+   * @param {string} options.baseUrl - API base URL (default: https://api.globalwinescore.com)
+   * @param {Function} options.adapter - HTTP adapter (default: axiosAdapter)
+   * @param {number} options.requestsPerMinute - Client-side rate limit; 0 disables it (default: 10)
+   * @param {number} options.maxRetries - Retries for 429 and 5xx responses (default: 3)
+   * @param {Object} options.cache - Response cache: { get(url, params, { allowStale, scope }), set(url, params, data, { scope }) }
+   * @param {boolean} options.offline - Answer only from the cache
+   * @param {Function} options.logger - Receives diagnostic messages (requests, waits, retries)
+   */
+  constructor(options = {}) {
+    this.token = options.token || '';
+    this.baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.adapter = options.adapter || axiosAdapter;
+    this.requestsPerMinute = options.requestsPerMinute ?? 10;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.cache = options.cache || null;
+    this.offline = !!options.offline;
+    this.logger = options.logger || (() => {});
+    this.limiter = this.requestsPerMinute > 0 ? createRateLimiter({ requestsPerMinute: this.requestsPerMinute }) : null;
+    // Upstream pages of fanned-out queries, reused by the merged pages after them
+    this.fanOutPages = new Map();
+  }
+
+  /**
+   * GET an API endpoint through the cache, rate limiter and retry policy
+   * @param {string} endpoint - Path, e.g. '/globalwinescores/latest/'
+   * @param {Object} params - Query params
+   */
+  async request(endpoint, params = {}) {
+    const url = `${this.baseUrl}${endpoint}`;
+
+    // Cached responses are only shared between requests made with the same token
+    const scope = this.token ? createHash('sha256').update(this.token).digest('hex').slice(0, 16) : '';
+    if (this.cache) {
+      const cached = this.cache.get(url, params, { allowStale: this.offline, scope });
+      if (cached) {
+        this.logger(`Cache hit${cached.stale ? ' (stale)' : ''} for GET ${endpoint} ${JSON.stringify(params)}`);
+        return cached.data;
+      }
+    }
+
+    if (this.offline) {
+      throw new OfflineError(`Offline mode: no cached response for ${endpoint} with these filters. Run the same command online first.`);
+    }
+
+    if (!this.token) {
+      throw new AuthError('API token not configured.');
+    }
+
+    const headers = {
+      'Authorization': `Token ${this.token}`,
+      'Accept': 'application/json'
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      const waited = this.limiter ? await this.limiter.take() : 0;
+      if (waited > 0) this.logger(`Rate limiter: waited ${waited}ms before GET ${endpoint}`);
+
+      this.logger(`GET ${endpoint} ${JSON.stringify(params)}`);
+      let response;
+      try {
+        response = await this.adapter({ method: 'GET', url, headers, params });
+      } catch (error) {
+        throw new NetworkError(`Request failed: ${error.message}`, { cause: error });
+      }
+
+      if (response.status >= 200 && response.status < 300) {
+        if (this.cache) this.cache.set(url, params, response.data, { scope });
+        return response.data;
+      }
+
+      if (attempt < this.maxRetries && isRetryable(response.status)) {
+        const delay = backoffDelay(attempt, response.headers?.['retry-after']);
+        this.logger(`HTTP ${response.status} on GET ${endpoint}; retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      throw this.toApiError(response);
+    }
+  }
+
+  /**
+   * GET a scores endpoint. A vintage or color holding several values
+   * ("2009..2016", "2010,2015", "red,white") is fanned out into one
+   * rate-limited request per combination and the pages merged into one.
+   * @param {string} endpoint - LATEST_ENDPOINT or HISTORICAL_ENDPOINT
+   * @param {Object} filters - Query filters (see getLatestScores)
+   */
+  async query(endpoint, filters) {
+    const variants = expandFilters(filters);
+    if (variants.length === 1) return await this.request(endpoint, buildParams(variants[0]));
+
+    const pageUrl = (params) => {
+      const query = new URLSearchParams(buildParams(params));
+      if (params.cursor) query.set('cursor', params.cursor);
+      return `${this.baseUrl}${endpoint}?${query}`;
+    };
+    return await fetchMerged(variants, filters, (f) => this.fanOutPage(endpoint, buildParams(f)), pageUrl);
+  }
+
+  /**
+   * request() for one query of a fan-out. Each upstream page is read by
+   * several consecutive merged pages, so the most recent ones are kept in
+   * memory even when the response cache is off.
+   */
+  async fanOutPage(endpoint, params) {
+    const key = `${endpoint}?${JSON.stringify(params)}`;
+    const kept = this.fanOutPages.get(key);
+    if (kept && Date.now() - kept.at < FAN_OUT_TTL) return await kept.page;
+
+    const page = this.request(endpoint, params);
+    this.fanOutPages.delete(key);
+    this.fanOutPages.set(key, { page, at: Date.now() });
+    if (this.fanOutPages.size > FAN_OUT_PAGES) {
+      this.fanOutPages.delete(this.fanOutPages.keys().next().value);
+    }
+    try {
+      return await page;
+    } catch (error) {
+      this.fanOutPages.delete(key);
+      throw error;
+    }
+  }
+
+  /**
+   * The typed error (see errors.js) for a failed response
+   */
+  toApiError(response) {
+    const { status } = response;
+    const detail = response.data?.detail;
+    if (status === 401) {
+      return new AuthError('Authentication failed. Check your API token.', { status });
+    }
+    if (status === 429) {
+      const retryAfter = Number(response.headers?.['retry-after']);
+      return new RateLimitError(`Rate limit exceeded after ${this.maxRetries} retries. Plan quota may be lower than ${this.requestsPerMinute} requests per minute.`, {
+        status,
+        retryAfter: Number.isFinite(retryAfter) ? retryAfter : undefined
+      });
+    }
+    if (status === 403) {
+      return new PlanRequiredError('Access forbidden. This endpoint may require a business plan.', { status });
+    }
+    if (status === 404) {
+      return new NotFoundError(detail ? `Not found: ${detail}` : 'Not found.', { status });
+    }
+    if (status >= 502 && status <= 504) {
+      return new NetworkError(`The API is unavailable (status code ${status}). Try again later.`, { status });
+    }
+    if (detail) {
+      return new GlobalWineScoreError(`API Error: ${detail}`, { status });
+    }
+    return new GlobalWineScoreError(`Request failed with status code ${status}`, { status });
+  }
+
+  // ============================================================
+  // Wine Scores
+  // ============================================================
+
+  /**
+   * Get latest GlobalWineScores
+   * @param {Object} filters - Query filters
+   * @param {string} filters.wine_id - Wine ID filter
+   * @param {string} filters.vintage - Vintage year, range ("2009..2016") or list ("2010,2015")
+   * @param {string} filters.color - Wine color (red, white, pink), or several ("red,white")
+   * @param {boolean} filters.is_primeurs - Filter for en primeur scores
+   * @param {string} filters.lwin - L-WIN identifier
+   * @param {string} filters.lwin_11 - L-WIN 11 identifier
+   * @param {number} filters.limit - Results per page (default: 100)
+   * @param {number} filters.offset - Pagination offset
+   * @param {string} filters.ordering - Sort order (e.g., '-date', 'score')
+   */
+  async getLatestScores(filters = {}) {
+    return await this.query(LATEST_ENDPOINT, filters);
+  }
+
+  /**
+   * Get historical GlobalWineScores (requires business plan)
+   * @param {Object} filters - Query filters (same as getLatestScores)
+   */
+  async getHistoricalScores(filters = {}) {
+    return await this.query(HISTORICAL_ENDPOINT, filters);
+  }
+
+  /**
+   * Iterate over every page of a latest (or historical) scores query
+   * @param {Object} filters - Query filters (same as getLatestScores)
+   * @param {Object} options
+   * @param {boolean} options.historical - Page through historical scores instead
+   * @param {number} options.max - Stop after this many results
+   */
+  iteratePages(filters = {}, options = {}) {
+    const fetchPage = options.historical
+      ? (f) => this.getHistoricalScores(f)
+      : (f) => this.getLatestScores(f);
+    return paginate(fetchPage, { limit: 100, ...filters }, { max: options.max });
+  }
+
+  /**
+   * Iterate over every score row of a query, one result at a time
+   * @param {Object} filters - Query filters (same as getLatestScores)
+   * @param {Object} options - Same as iteratePages
+   */
+  async *iterateScores(filters = {}, options = {}) {
+    for await (const page of this.iteratePages(filters, options)) {
+      yield* page.results;
+    }
+  }
+
+  /**
+   * Search wines by name, appellation or region with accent-insensitive fuzzy
+   * matching. The API has no text search, so this scans score pages (served
+   * from the cache when possible) and ranks matches locally.
+   * @param {string} query - Free text, e.g. "chateau margaux"
+   * @param {Object} options - Any getLatestScores filter, plus:
+   * @param {number} options.min_score - Drop wines scored below this
+   * @param {number} options.limit - Matches to return (default: 20)
+   * @param {number} options.scan - Score rows to scan (default: 500)
+   * @param {number} options.threshold - Minimum match quality, 0-1 (default: 0.6)
+   * @returns {Object} { count, scanned, results } with a `match` field per result
+   */
+  async searchWines(query, options = {}) {
+    const { min_score, limit = 20, scan = 500, threshold = 0.6, ...filters } = options;
+    const matches = [];
+    let scanned = 0;
+
+    const pages = paginate((f) => this.getLatestScores(f), {
+      ordering: '-score',
+      ...filters,
+      limit: Math.min(scan, 100)
+    }, { max: scan });
+
+    for await (const page of pages) {
+      for (const wine of page.results) {
+        scanned++;
+        if (min_score !== undefined && !(Number(wine.score) >= min_score)) continue;
+        const match = matchScore(query, wine);
+        if (match >= threshold) matches.push({ ...wine, match: Math.round(match * 100) / 100 });
+      }
+    }
+
+    matches.sort((a, b) => b.match - a.match || (Number(b.score) || 0) - (Number(a.score) || 0));
+
+    return {
+      count: matches.length,
+      scanned,
+      results: matches.slice(0, limit)
+    };
+  }
+
+  /**
+   * Get scores by vintage year
+   */
+  async getScoresByVintage(vintage, options = {}) {
+    return await this.getLatestScores({
+      vintage,
+      limit: options.limit || 50,
+      ordering: options.ordering || '-score',
+      ...options
+    });
+  }
+
+  /**
+   * Get scores by color
+   */
+  async getScoresByColor(color, options = {}) {
+    return await this.getLatestScores({
+      color: color.toLowerCase(),
+      limit: options.limit || 50,
+      ordering: options.ordering || '-score',
+      ...options
+    });
+  }
+
+  /**
+   * Get scores by wine ID
+   */
+  async getScoresByWineId(wineId, options = {}) {
+    return await this.getLatestScores({
+      wine_id: wineId,
+      ...options
+    });
+  }
+
+  /**
+   * Get scores by L-WIN identifier. LWIN-7 codes match every vintage;
+   * LWIN-11, -16 and -18 codes match their vintage. The code is validated
+   * locally and throws before any request if malformed.
+   */
+  async getScoresByLwin(lwin, options = {}) {
+    return await this.getLatestScores({
+      ...(lwin === undefined ? {} : parseLwin(lwin).filters),
+      ...options
+    });
+  }
+
+  /**
+   * Get top rated wines
+   */
+  async getTopRated(options = {}) {
+    return await this.getLatestScores({
+      limit: options.limit || 20,
+      ordering: '-score',
+      ...options
+    });
+  }
+}
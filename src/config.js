@@ -1,21 +1,205 @@
 import Conf from 'conf';
+import { dirname, join } from 'path';
+
+// Settings a named profile can override. The top-level values form the
+// implicit "default" profile.
+const PROFILE_SETTINGS = {
+  apiToken: {
+    type: 'string',
+    default: ''
+  },
+  baseUrl: {
+    type: 'string',
+    default: ''
+  },
+  requestsPerMinute: {
+    type: 'number',
+    minimum: 1,
+    default: 10
+  },
+  maxRetries: {
+    type: 'integer',
+    minimum: 0,
+    default: 3
+  },
+  defaultLimit: {
+    type: 'integer',
+    minimum: 1
+  },
+  defaultColor: {
+    enum: ['red', 'white', 'pink']
+  },
+  outputFormat: {
+    enum: ['table', 'json', 'ndjson', 'csv', 'tsv', 'markdown', 'yaml']
+  }
+};
+
+// Environment variables that take precedence over any profile
+const ENV_OVERRIDES = {
+  apiToken: 'GWS_API_TOKEN',
+  baseUrl: 'GWS_BASE_URL'
+};
+
+export const DEFAULT_PROFILE = 'default';
 
 const config = new Conf({
   projectName: 'ktmcp-globalwinescore',
   schema: {
-    apiToken: {
+    ...PROFILE_SETTINGS,
+    activeProfile: {
+      type: 'string',
+      default: DEFAULT_PROFILE
+    },
+    profiles: {
+      type: 'object',
+      default: {},
+      propertyNames: { pattern: '^[A-Za-z0-9_-]+$' },
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: false,
+        // Profiles carry no defaults so unset values fall through to the top level
+        properties: Object.fromEntries(Object.entries(PROFILE_SETTINGS).map(([key, { default: _, ...schema }]) => [key, schema]))
+      }
+    },
+    cacheTtl: {
+      type: 'object',
+      properties: {
+        latest: { type: 'number', minimum: 0 },
+        historical: { type: 'number', minimum: 0 }
+      },
+      default: {
+        latest: 3600,
+        historical: 86400
+      }
+    },
+    webhookUrl: {
       type: 'string',
       default: ''
+    },
+    watchlist: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['type', 'id'],
+        properties: {
+          type: { enum: ['wine-id', 'lwin'] },
+          id: { type: 'string' },
+          vintage: { type: 'string' },
+          label: { type: 'string' },
+          above: { type: 'number' },
+          below: { type: 'number' },
+          change: { type: 'number', minimum: 0 },
+          lastScore: { type: ['number', 'null'] },
+          lastConfidence: { type: ['string', 'null'] },
+          lastCheckedAt: { type: 'string' }
+        }
+      }
     }
   }
 });
 
+let profileOverride = null;
+
+function isProfileSetting(key) {
+  return key in PROFILE_SETTINGS;
+}
+
+function profileKey(profile, key) {
+  return `profiles.${profile}.${key}`;
+}
+
+/**
+ * The profile in effect: --profile, then GWS_PROFILE, then the saved
+ * active profile
+ */
+export function getActiveProfile() {
+  return profileOverride || process.env.GWS_PROFILE || config.get('activeProfile');
+}
+
+/**
+ * Use a profile for this process only (the --profile flag)
+ */
+export function setProfileOverride(name) {
+  profileOverride = name;
+}
+
+export function profileExists(name) {
+  return name === DEFAULT_PROFILE || config.has(`profiles.${name}`);
+}
+
+export function listProfiles() {
+  return [DEFAULT_PROFILE, ...Object.keys(config.get('profiles'))];
+}
+
+/**
+ * Create a profile, optionally starting from another profile's settings
+ */
+export function addProfile(name, settings = {}, copyFrom) {
+  if (profileExists(name)) {
+    throw new Error(`Profile "${name}" already exists`);
+  }
+  if (copyFrom && !profileExists(copyFrom)) {
+    throw new Error(`Profile "${copyFrom}" not found`);
+  }
+  const base = !copyFrom ? {} : copyFrom === DEFAULT_PROFILE
+    ? Object.fromEntries(Object.keys(PROFILE_SETTINGS)
+      .filter(key => config.has(key) && config.get(key) !== PROFILE_SETTINGS[key].default)
+      .map(key => [key, config.get(key)]))
+    : config.get(`profiles.${copyFrom}`);
+  config.set(`profiles.${name}`, { ...base, ...settings });
+}
+
+export function removeProfile(name) {
+  if (name === DEFAULT_PROFILE) {
+    throw new Error('The default profile cannot be removed');
+  }
+  if (!profileExists(name)) {
+    throw new Error(`Profile "${name}" not found`);
+  }
+  config.delete(`profiles.${name}`);
+  if (config.get('activeProfile') === name) config.set('activeProfile', DEFAULT_PROFILE);
+}
+
+export function useProfile(name) {
+  if (!profileExists(name)) {
+    throw new Error(`Profile "${name}" not found`);
+  }
+  config.set('activeProfile', name);
+}
+
+/**
+ * Where a setting's effective value comes from: 'env', a profile name, or
+ * 'default'
+ */
+export function getConfigSource(key) {
+  if (ENV_OVERRIDES[key] && process.env[ENV_OVERRIDES[key]]) return 'env';
+  const profile = getActiveProfile();
+  if (profile !== DEFAULT_PROFILE && isProfileSetting(key) && config.has(profileKey(profile, key))) return profile;
+  return DEFAULT_PROFILE;
+}
+
 export function getConfig(key) {
+  const source = getConfigSource(key);
+  if (source === 'env') return process.env[ENV_OVERRIDES[key]];
+  if (source !== DEFAULT_PROFILE) return config.get(profileKey(source, key));
   return config.get(key);
 }
 
+/**
+ * Save a setting; profile settings go to the active profile
+ */
 export function setConfig(key, value) {
-  config.set(key, value);
+  const profile = getActiveProfile();
+  config.set(profile !== DEFAULT_PROFILE && isProfileSetting(key) ? profileKey(profile, key) : key, value);
+}
+
+/**
+ * Remove a setting from the active profile (or reset it on the default profile)
+ */
+export function deleteConfig(key) {
+  const profile = getActiveProfile();
+  config.delete(profile !== DEFAULT_PROFILE && isProfileSetting(key) ? profileKey(profile, key) : key);
 }
 
 export function getAllConfig() {
@@ -26,8 +210,16 @@ export function clearConfig() {
   config.clear();
 }
 
+/**
+ * Path inside the CLI's data directory (next to the config file),
+ * e.g. getDataPath('cache')
+ */
+export function getDataPath(...segments) {
+  return join(dirname(config.path), ...segments);
+}
+
 export function isConfigured() {
-  return !!config.get('apiToken');
+  return !!getConfig('apiToken');
 }
 
 export default config;
@@ -0,0 +1,74 @@
+/**
+ * Parse RFC 4180 CSV (quoted fields, embedded commas, quotes and newlines)
+ * into an array of objects keyed by the header row
+ * @param {string} text - CSV document
+ * @param {string} delimiter - Field separator (default: ',')
+ */
+export function parseCsv(text, delimiter = ',') {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...rows] = records.filter(r => r.length > 1 || r[0] !== '');
+  return rows.map(values => Object.fromEntries(header.map((name, i) => [name, values[i] ?? ''])));
+}
+
+function escapeField(value, delimiter) {
+  const text = value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize one record per line, without a header
+ * @param {Array[]} records - Arrays of field values
+ * @param {string} delimiter - Field separator (default: ',')
+ */
+export function toCsvLines(records, delimiter = ',') {
+  return records.map(values => values.map(value => escapeField(value, delimiter)).join(delimiter) + '\n').join('');
+}
+
+/**
+ * Serialize rows to CSV
+ * @param {Object[]} rows - Records to write
+ * @param {string[]} columns - Column order (default: keys of every row, in first-seen order)
+ * @param {string} delimiter - Field separator (default: ',')
+ */
+export function toCsv(rows, columns, delimiter = ',') {
+  const header = columns || [...new Set(rows.flatMap(row => Object.keys(row)))];
+  return toCsvLines([header, ...rows.map(row => header.map(col => row[col]))], delimiter);
+}
@@ -0,0 +1,95 @@
+import { getScoresByLwin, getScoresByWineId, paginate } from './api.js';
+import { parseLwin } from './lwin.js';
+
+const PAGE_SIZE = 100;
+
+/**
+ * Pick the result for a row: the requested vintage when the input has one,
+ * otherwise the most recent vintage
+ */
+export function pickResult(results, vintage) {
+  if (vintage) {
+    return results.find(wine => String(wine.vintage) === String(vintage)) || null;
+  }
+  return [...results].sort((a, b) => (parseInt(b.vintage) || 0) - (parseInt(a.vintage) || 0))[0] || null;
+}
+
+/**
+ * Every score of one wine (narrowed to a vintage when given), newest first,
+ * so pickResult takes the current score of the vintage it picks
+ * @param {string} identifier - Wine ID or LWIN
+ * @param {string} by - 'lwin' or 'wine-id'
+ * @param {string} vintage - Optional vintage filter
+ * @returns {Object[]} Score rows from every page
+ */
+export async function lookupScores(identifier, by, vintage) {
+  const fetchPage = by === 'wine-id' ? (f) => getScoresByWineId(identifier, f) : (f) => getScoresByLwin(identifier, f);
+  const filters = { ordering: '-date', limit: PAGE_SIZE, ...(vintage ? { vintage } : {}) };
+  const results = [];
+  for await (const page of paginate(fetchPage, filters)) results.push(...page.results);
+  return results;
+}
+
+/**
+ * Look up scores for every row of an inventory and append them as
+ * gws_* columns. Rows are looked up one at a time through the
+ * rate-limited request layer; repeated identifiers are fetched once.
+ * @param {Object[]} rows - Input records
+ * @param {Object} options
+ * @param {string} options.column - Column holding the identifier
+ * @param {string} options.by - 'lwin' (LWIN-7, -11, -16 or -18) or 'wine-id'
+ * @param {string} options.vintageColumn - Optional column holding the vintage to match
+ * @param {Function} options.onProgress - Called with (done, total) after each row
+ * @returns {Object} { rows, matched, unmatched } - every row in input order
+ *   (blank gws_* columns when unmatched), and the count matched plus the
+ *   unmatched rows with a gws_error reason
+ */
+export async function enrichRows(rows, options = {}) {
+  const { column, by = 'lwin', vintageColumn, onProgress = () => {} } = options;
+  const lookups = new Map();
+  const enriched = [];
+  const unmatched = [];
+
+  for (const [index, row] of rows.entries()) {
+    const identifier = String(row[column] ?? '').trim();
+
+    let wine = null;
+    let reason = `Missing ${column}`;
+
+    // Malformed LWINs are reported per row without a request
+    let invalid = null;
+    if (identifier && by === 'lwin') {
+      try {
+        parseLwin(identifier);
+      } catch (error) {
+        invalid = error.message;
+      }
+    }
+
+    if (invalid) {
+      reason = invalid;
+    } else if (identifier) {
+      const vintage = vintageColumn ? row[vintageColumn] : undefined;
+      // An LWIN-11 or longer already names its vintage
+      const filter = vintage && !(by === 'lwin' && parseLwin(identifier).vintage) ? String(vintage).trim() : '';
+      const key = `${identifier}|${filter}`;
+      if (!lookups.has(key)) lookups.set(key, lookupScores(identifier, by, filter));
+      wine = pickResult(await lookups.get(key), vintage);
+      reason = vintage ? `No score for vintage ${vintage}` : 'No scores found';
+    }
+
+    enriched.push({
+      ...row,
+      gws_wine_name: wine ? wine.wine_name || wine.wine || '' : '',
+      gws_vintage: wine?.vintage ?? '',
+      gws_score: wine?.score ?? '',
+      gws_confidence_index: wine?.confidence_index ?? '',
+      gws_appellation: wine?.appellation ?? ''
+    });
+    if (!wine) unmatched.push({ ...row, gws_error: reason });
+
+    onProgress(index + 1, rows.length);
+  }
+
+  return { rows: enriched, matched: enriched.length - unmatched.length, unmatched };
+}
@@ -0,0 +1,91 @@
+// ============================================================
+// Error types
+//
+// Failures a caller may want to handle differently, each with the exit
+// code the CLI ends with. Anything else is a plain Error and exits 1;
+// `watch check` keeps 2 for alerts that fired.
+// ============================================================
+
+export const EXIT_CODES = {
+  GlobalWineScoreError: 1,
+  AuthError: 3,
+  PlanRequiredError: 4,
+  RateLimitError: 5,
+  NotFoundError: 6,
+  NetworkError: 7,
+  OfflineError: 8
+};
+
+/**
+ * Base class of the typed errors
+ * @property {number} exitCode - Exit code of the CLI when this error ends it
+ * @property {number|undefined} status - HTTP status, when the API answered
+ */
+export class GlobalWineScoreError extends Error {
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = new.target.name;
+    this.status = options.status;
+    this.exitCode = EXIT_CODES[new.target.name] ?? 1;
+  }
+
+  /**
+   * The error as a plain object, for JSON output
+   */
+  toJSON() {
+    return {
+      type: this.name,
+      message: this.message,
+      ...(this.status !== undefined ? { status: this.status } : {}),
+      exit_code: this.exitCode
+    };
+  }
+}
+
+/** The API token is missing or was rejected (HTTP 401) */
+export class AuthError extends GlobalWineScoreError {}
+
+/** The token's plan does not include the endpoint, e.g. historical scores (HTTP 403) */
+export class PlanRequiredError extends GlobalWineScoreError {}
+
+/** Still rate limited (HTTP 429) once the retries ran out */
+export class RateLimitError extends GlobalWineScoreError {
+  constructor(message, options = {}) {
+    super(message, options);
+    // Seconds the API asked to wait, when it said
+    this.retryAfter = options.retryAfter;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), ...(this.retryAfter !== undefined ? { retry_after: this.retryAfter } : {}) };
+  }
+}
+
+/** The API, or a lookup, found nothing for the identifier asked for (HTTP 404) */
+export class NotFoundError extends GlobalWineScoreError {}
+
+/** No usable response: the connection failed or the API stayed unavailable (HTTP 502-504) */
+export class NetworkError extends GlobalWineScoreError {}
+
+/** Offline mode, and the response cache has no answer for the request */
+export class OfflineError extends GlobalWineScoreError {}
+
+/**
+ * Exit code for any error: its type's, else 1
+ */
+export function exitCodeOf(error) {
+  return error instanceof GlobalWineScoreError ? error.exitCode : 1;
+}
+
+/**
+ * Any error as a plain object: { type, message, status?, exit_code }
+ */
+export function serializeError(error) {
+  if (error instanceof GlobalWineScoreError) return error.toJSON();
+  return {
+    type: 'Error',
+    message: error?.message ?? String(error),
+    ...(error?.status !== undefined ? { status: error.status } : {}),
+    exit_code: 1
+  };
+}
@@ -0,0 +1,193 @@
+import { createWorkbook } from './xlsx.js';
+import { toCsv } from './csv.js';
+import { escapeHtml, htmlPage } from './html.js';
+
+// ============================================================
+// Exports
+//
+// Query results as files for other tools: a styled XLSX workbook, a CSV
+// that CellarTracker's import accepts, and a self-contained HTML report.
+// Every export takes score records - the raw API fields overlaid with the
+// display fields (wine_name, vintage, score, confidence, appellation,
+// color) - so the files read the same as the terminal output.
+// ============================================================
+
+// Same bands as the terminal's score coloring, highest first
+const SCORE_BANDS = [
+  { name: 'outstanding', min: 95, fill: 'C6EFCE', font: '006100' },
+  { name: 'excellent', min: 92, fill: 'E2F0D9', font: '375623' },
+  { name: 'good', min: 89, fill: 'FFEB9C', font: '9C5700' },
+  { name: 'fair', min: -Infinity, fill: 'FFC7CE', font: '9C0006' }
+];
+
+const EXPORT_COLUMNS = [
+  { key: 'wine_name', label: 'Wine', width: 40 },
+  { key: 'vintage', label: 'Vintage', width: 9 },
+  { key: 'score', label: 'Score', width: 9, type: 'number', decimals: true, banded: true },
+  { key: 'confidence', label: 'Confidence', width: 12 },
+  { key: 'appellation', label: 'Appellation', width: 28 },
+  { key: 'color', label: 'Color', width: 9 },
+  { key: 'country', label: 'Country', width: 14 },
+  { key: 'regions', label: 'Region', width: 18 },
+  { key: 'lwin', label: 'L-WIN', width: 10 },
+  { key: 'lwin_11', label: 'L-WIN 11', width: 13 },
+  { key: 'wine_id', label: 'Wine ID', width: 10, type: 'number' },
+  { key: 'is_primeurs', label: 'En primeur', width: 11 },
+  { key: 'date', label: 'Date', width: 12 }
+];
+
+// Column names CellarTracker's CSV import recognises
+const CELLARTRACKER_COLUMNS = [
+  'Vintage', 'Wine', 'Color', 'Category', 'Country', 'Region', 'Appellation',
+  'Size', 'Quantity', 'PScore', 'Note', 'LWIN'
+];
+
+const CELLARTRACKER_COLORS = { red: 'Red', white: 'White', pink: 'Rosé', rose: 'Rosé' };
+const CELLARTRACKER_CATEGORIES = { still: 'Dry', sparkling: 'Sparkling', sweet: 'Sweet', fortified: 'Fortified' };
+
+// CellarTracker's vintage for non-vintage wines
+const CELLARTRACKER_NV = '1001';
+
+export const SPLIT_BY = ['color', 'vintage', 'none'];
+
+function isScore(value) {
+  return value !== undefined && value !== null && value !== '' && !Number.isNaN(Number(value));
+}
+
+function scoreBand(score) {
+  return isScore(score) ? SCORE_BANDS.find(band => Number(score) >= band.min) : null;
+}
+
+function capitalize(value) {
+  return String(value).charAt(0).toUpperCase() + String(value).slice(1);
+}
+
+/**
+ * Split records into named groups, one per color or vintage
+ * @param {Object[]} records - Score records
+ * @param {string} splitBy - color, vintage or none
+ * @returns {Object[]} [{ name, rows }]: colors in the order first seen,
+ *   vintages newest first with NV last; a single group for none
+ */
+export function splitRecords(records, splitBy = 'color') {
+  if (!SPLIT_BY.includes(splitBy)) {
+    throw new Error(`Invalid split "${splitBy}". Must be one of: ${SPLIT_BY.join(', ')}`);
+  }
+  if (splitBy === 'none') return [{ name: 'Scores', rows: records }];
+
+  const groups = new Map();
+  for (const record of records) {
+    const key = String(record[splitBy] ?? 'N/A');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  }
+
+  const entries = [...groups.entries()];
+  if (splitBy === 'vintage') {
+    const year = (key) => /^\d+$/.test(key) ? Number(key) : -Infinity;
+    entries.sort(([a], [b]) => year(b) - year(a));
+  }
+  return entries.map(([key, rows]) => ({ name: splitBy === 'color' ? capitalize(key) : key, rows }));
+}
+
+/**
+ * Records as an XLSX workbook with one sheet per group. Each sheet has a
+ * frozen, filterable header and scores filled by band.
+ * @param {Object[]} records - Score records
+ * @param {Object} options - { splitBy: color|vintage|none }
+ * @returns {Buffer} The .xlsx file
+ */
+export function toWorkbook(records, options = {}) {
+  const columns = EXPORT_COLUMNS.map(({ banded, ...column }) => banded ? {
+    ...column,
+    conditional: SCORE_BANDS.map(band => band.min === -Infinity
+      ? { operator: 'lessThan', value: SCORE_BANDS[SCORE_BANDS.length - 2].min, dxf: band }
+      : { operator: 'greaterThanOrEqual', value: band.min, dxf: band })
+  } : column);
+
+  const groups = splitRecords(records, options.splitBy);
+  return createWorkbook((groups.length > 0 ? groups : [{ name: 'Scores', rows: [] }]).map(group => ({ ...group, columns })));
+}
+
+/**
+ * Records as a CSV for CellarTracker's import (Vintage, Wine, Color, ...).
+ * Each row counts one 750ml bottle; the score goes to PScore and the note.
+ */
+export function toCellarTrackerCsv(records) {
+  const rows = records.map(record => ({
+    Vintage: /^\d{4}$/.test(String(record.vintage)) ? record.vintage : CELLARTRACKER_NV,
+    Wine: record.wine_name,
+    Color: CELLARTRACKER_COLORS[String(record.color).toLowerCase()] || '',
+    Category: CELLARTRACKER_CATEGORIES[record.wine_type] || '',
+    Country: record.country || '',
+    Region: Array.isArray(record.regions) ? record.regions[0] || '' : record.regions || '',
+    Appellation: record.appellation === 'N/A' ? '' : record.appellation,
+    Size: '750ml',
+    Quantity: 1,
+    PScore: isScore(record.score) ? record.score : '',
+    Note: isScore(record.score) ? `GlobalWineScore ${record.score} (${record.confidence})` : '',
+    LWIN: record.lwin_11 || record.lwin || ''
+  }));
+  return toCsv(rows, CELLARTRACKER_COLUMNS);
+}
+
+function htmlCell(record, column) {
+  const value = Array.isArray(record[column.key]) ? record[column.key].join(', ') : record[column.key];
+  if (!column.banded) return `<td>${escapeHtml(value)}</td>`;
+  const band = scoreBand(value);
+  return `<td class="num${band ? ` ${band.name}` : ''}">${escapeHtml(value)}</td>`;
+}
+
+// Click a header to sort its table; click again to reverse
+const SORT_SCRIPT = `document.querySelectorAll('table.sortable').forEach(function (table) {
+  table.querySelectorAll('th').forEach(function (th, index) {
+    th.addEventListener('click', function () {
+      var ascending = th.getAttribute('aria-sort') !== 'ascending';
+      table.querySelectorAll('th').forEach(function (other) { other.removeAttribute('aria-sort'); });
+      th.setAttribute('aria-sort', ascending ? 'ascending' : 'descending');
+      var body = table.tBodies[0];
+      var rows = Array.prototype.slice.call(body.rows);
+      rows.sort(function (a, b) {
+        var x = a.cells[index].textContent, y = b.cells[index].textContent;
+        var numeric = /^-?\\d+(\\.\\d+)?$/;
+        var order = numeric.test(x.trim()) && numeric.test(y.trim()) ? parseFloat(x) - parseFloat(y) : x.localeCompare(y);
+        return ascending ? order : -order;
+      });
+      rows.forEach(function (row) { body.appendChild(row); });
+    });
+  });
+});`;
+
+/**
+ * Records as a self-contained HTML page with a sortable table per group
+ * @param {Object[]} records - Score records
+ * @param {Object} options - { splitBy: color|vintage|none, title, generatedAt }
+ */
+export function toHtmlReport(records, options = {}) {
+  const groups = splitRecords(records, options.splitBy);
+  const head = EXPORT_COLUMNS.map(column => `<th>${escapeHtml(column.label)}</th>`).join('');
+
+  const sections = groups.map(group => {
+    const body = group.rows.map(record => `<tr>${EXPORT_COLUMNS.map(column => htmlCell(record, column)).join('')}</tr>`);
+    return `${groups.length > 1 ? `<h2>${escapeHtml(group.name)} <small>(${group.rows.length})</small></h2>\n` : ''}<table class="sortable">
+<thead><tr>${head}</tr></thead>
+<tbody>
+${body.join('\n')}
+</tbody>
+</table>`;
+  });
+
+  return htmlPage({
+    title: options.title || 'GlobalWineScore export',
+    style: [
+      'th { cursor: pointer; user-select: none; }',
+      'th[aria-sort="ascending"]::after { content: " ▲"; }',
+      'th[aria-sort="descending"]::after { content: " ▼"; }',
+      'td.num { text-align: right; }',
+      ...SCORE_BANDS.map(band => `td.${band.name} { background: #${band.fill}; color: #${band.font}; }`)
+    ],
+    body: `${records.length === 0 ? '<p class="empty">No results.</p>' : sections.join('\n')}
+<footer>${records.length} score(s), generated ${escapeHtml(options.generatedAt || new Date().toISOString())}</footer>`,
+    script: SORT_SCRIPT
+  });
+}
@@ -0,0 +1,227 @@
+// ============================================================
+// Multi-value filters
+//
+// The API filters on one vintage and one color per request. A vintage of
+// "2009..2016" or "2010,2015" and a color of "red,white" are expanded into
+// one query per combination; the queries' pages are merged back into a
+// single result set ordered as the API would order it, with the counts
+// summed. Each merged page records how far it read into every query as a
+// `cursor` parameter on its `next` link, so following `next` continues
+// each query where the last page left off.
+// ============================================================
+
+// Most queries a single set of filters may expand into
+const MAX_FAN_OUT = 50;
+
+const DEFAULT_PAGE_SIZE = 100;
+
+const VINTAGE_HINT = 'use a year (2015), a range (2009..2016), a list (2010,2015) or a mix (2005,2009..2012)';
+
+function splitList(value) {
+  if (Array.isArray(value)) return value.flatMap(splitList);
+  return String(value).split(',').map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Expand a vintage specification into the years it names
+ * @param {string|number|Array} value - e.g. 2015, "2009..2016", "2010,2015,2016" or [2010, 2015]
+ * @returns {string[]} Distinct years in ascending order
+ * @throws {Error} On anything that is not a year or a range of years
+ */
+export function parseVintages(value) {
+  const years = new Set();
+  for (const part of splitList(value)) {
+    const range = part.match(/^(\d{4})\s*\.\.\s*(\d{4})$/);
+    if (range) {
+      const [from, to] = [Number(range[1]), Number(range[2])];
+      if (from > to) throw new Error(`Invalid vintage range "${part}": ${from} is after ${to}`);
+      for (let year = from; year <= to; year++) years.add(String(year));
+    } else if (/^\d{4}$/.test(part)) {
+      years.add(part);
+    } else {
+      throw new Error(`Invalid vintage "${part}": ${VINTAGE_HINT}`);
+    }
+  }
+  if (years.size === 0) throw new Error(`Invalid vintage "${value}": ${VINTAGE_HINT}`);
+  return [...years].sort();
+}
+
+/**
+ * Split a color specification, e.g. "red,white" -> ['red', 'white']
+ * @returns {string[]} Distinct lower-case colors in the order given
+ */
+export function parseColors(value) {
+  const colors = [...new Set(splitList(value).map(color => color.toLowerCase()))];
+  if (colors.length === 0) throw new Error(`Invalid color "${value}"`);
+  return colors;
+}
+
+function isSingle(value) {
+  if (value === undefined || value === null || typeof value === 'number') return true;
+  return typeof value === 'string' && !/[,.]/.test(value);
+}
+
+/**
+ * One set of filters per vintage × color combination
+ * @param {Object} filters - Query filters whose vintage and color may hold several values
+ * @returns {Object[]} The expanded filters; a single entry, unchanged, when
+ *   every filter holds one value
+ * @throws {Error} On a malformed vintage, or more than MAX_FAN_OUT combinations
+ */
+export function expandFilters(filters) {
+  if (isSingle(filters.vintage) && isSingle(filters.color)) return [filters];
+
+  const vintages = isSingle(filters.vintage) ? [filters.vintage] : parseVintages(filters.vintage);
+  const colors = isSingle(filters.color) ? [filters.color] : parseColors(filters.color);
+  const total = vintages.length * colors.length;
+  if (total > MAX_FAN_OUT) {
+    throw new Error(`Too many combinations: ${vintages.length} vintage(s) × ${colors.length} color(s) = ${total} queries (at most ${MAX_FAN_OUT})`);
+  }
+
+  return vintages.flatMap(vintage => colors.map(color => {
+    const variant = { ...filters };
+    delete variant.cursor;
+    if (vintage) variant.vintage = vintage;
+    if (color) variant.color = color;
+    return variant;
+  }));
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function compareField(a, b) {
+  const numeric = (value) => typeof value === 'number' || /^-?\d+(\.\d+)?$/.test(String(value).trim());
+  if (numeric(a) && numeric(b)) return Number(a) - Number(b);
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Comparator for an API ordering such as "-score" or "vintage,-date".
+ * Rows missing a field sort last; with no ordering every row ties, so
+ * merged queries are concatenated in order.
+ */
+function orderingComparator(ordering) {
+  const keys = String(ordering || '').split(',').map(key => key.trim()).filter(Boolean)
+    .map(key => ({ field: key.replace(/^-/, ''), descending: key.startsWith('-') }));
+
+  return (a, b) => {
+    for (const { field, descending } of keys) {
+      if (isMissing(a[field]) || isMissing(b[field])) {
+        if (isMissing(a[field]) !== isMissing(b[field])) return isMissing(a[field]) ? 1 : -1;
+        continue;
+      }
+      const order = compareField(a[field], b[field]);
+      if (order !== 0) return descending ? -order : order;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Read one query's rows from a position onwards, a page at a time. Pages
+ * start at multiples of the page size, so consecutive merged pages ask for
+ * the same upstream pages and repeat requests come from the response cache.
+ */
+function createSource(fetchPage, filters, start, pageSize) {
+  let pageStart = Math.floor(start / pageSize) * pageSize;
+  let index = start - pageStart;
+  let rows = null;
+  let hasNext = true;
+  let count = null;
+
+  async function head() {
+    for (;;) {
+      if (rows === null) {
+        const page = await fetchPage({ ...filters, limit: pageSize, offset: pageStart });
+        rows = page.results || [];
+        hasNext = !!page.next && rows.length > 0;
+        count = page.count ?? count;
+      }
+      if (index < rows.length) return rows[index];
+      if (!hasNext) return undefined;
+      pageStart += rows.length;
+      index -= rows.length;
+      rows = null;
+    }
+  }
+
+  return {
+    head,
+    take() {
+      index++;
+    },
+    position: () => pageStart + index,
+    count: () => count
+  };
+}
+
+function rowKey(row) {
+  return row.id ?? JSON.stringify([row.wine_id, row.lwin_11 ?? row.lwin, row.vintage, row.color, row.is_primeurs, row.date]);
+}
+
+/**
+ * Fetch one page of the merged result set of several queries
+ * @param {Object[]} variants - Filters of each query, from expandFilters
+ * @param {Object} filters - The original filters: limit, offset, ordering, and
+ *   the cursor from a previous merged page's next link
+ * @param {Function} fetchPage - Fetches one page of one query
+ * @param {Function} pageUrl - (params) -> absolute URL for next/previous links
+ * @returns {Object} { count, next, previous, results }
+ */
+export async function fetchMerged(variants, filters, fetchPage, pageUrl) {
+  const limit = Number(filters.limit) || DEFAULT_PAGE_SIZE;
+  const offset = Number(filters.offset) || 0;
+  const compare = orderingComparator(filters.ordering);
+
+  // Without a cursor (a first page, or a jump to an offset), every query is
+  // read from its start and the rows before the offset are skipped
+  const cursor = String(filters.cursor || '').split(',').filter(Boolean).map(Number);
+  const resume = cursor.length === variants.length && cursor.every(n => Number.isInteger(n) && n >= 0);
+  const sources = variants.map((variant, i) => createSource(fetchPage, variant, resume ? cursor[i] : 0, limit));
+  let skip = resume ? 0 : offset;
+
+  // Load every query's first page in parallel; the rate limiter spaces them out
+  await Promise.all(sources.map(source => source.head()));
+
+  const results = [];
+  const seen = new Set();
+  while (results.length < limit) {
+    let best = -1;
+    let bestRow;
+    for (const [i, source] of sources.entries()) {
+      const row = await source.head();
+      if (row !== undefined && (best < 0 || compare(row, bestRow) < 0)) {
+        best = i;
+        bestRow = row;
+      }
+    }
+    if (best < 0) break;
+
+    sources[best].take();
+    const key = rowKey(bestRow);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    if (skip > 0) {
+      skip--;
+      continue;
+    }
+    results.push(bestRow);
+  }
+
+  const counts = sources.map(source => source.count());
+  const count = counts.every(n => n !== null) ? counts.reduce((sum, n) => sum + n, 0) : null;
+  const more = (await Promise.all(sources.map(source => source.head()))).some(row => row !== undefined);
+  const base = { ...filters };
+  delete base.cursor;
+
+  return {
+    count,
+    next: more && results.length > 0
+      ? pageUrl({ ...base, limit, offset: offset + results.length, cursor: sources.map(source => source.position()).join(',') })
+      : null,
+    previous: offset > 0 ? pageUrl({ ...base, limit, offset: Math.max(offset - limit, 0) }) : null,
+    results
+  };
+}
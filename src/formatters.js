@@ -0,0 +1,214 @@
+import chalk from 'chalk';
+import { stripVTControlCharacters } from 'util';
+import { toCsvLines } from './csv.js';
+
+// ============================================================
+// Formatters
+//
+// A formatter turns pages of result rows into text, one page at a time,
+// so paginated output can be streamed. Each is a factory taking
+// { write, columns, title, color, emptyMessage } and returning:
+//   begin(meta)  - called once with the first page's envelope ({ count, ... })
+//   rows(rows)   - called with each page of rows
+//   end(meta)    - called once after the last page (meta is null if no pages)
+// `columns` are { key, label, format? } objects; `format` applies to table
+// output only.
+// ============================================================
+
+function cellText(col, row) {
+  return String(col.format ? col.format(row[col.key], row) : (row[col.key] ?? ''));
+}
+
+function envelope(meta) {
+  const { results, ...rest } = meta || {};
+  return rest;
+}
+
+function table({ write, columns, title, color, emptyMessage = 'No results found.' }) {
+  const line = (text) => write((color ? text : stripVTControlCharacters(text)) + '\n');
+  let widths = null;
+  let count = 0;
+
+  return {
+    begin() {
+      if (title) line(chalk.bold(`\n${title}\n`));
+    },
+    rows(rows) {
+      if (rows.length === 0) return;
+      if (!widths) {
+        // Column widths are fixed from the first page so later pages line up
+        widths = {};
+        columns.forEach(col => {
+          widths[col.key] = Math.min(Math.max(col.label.length, ...rows.map(row => stripVTControlCharacters(cellText(col, row)).length)), 50);
+        });
+        const header = columns.map(col => col.label.padEnd(widths[col.key])).join('  ');
+        line(chalk.bold(chalk.cyan(header)));
+        line(chalk.dim('─'.repeat(header.length)));
+      }
+      rows.forEach(row => {
+        line(columns.map(col => {
+          const text = cellText(col, row);
+          const visible = stripVTControlCharacters(text);
+          if (visible.length > widths[col.key]) return visible.substring(0, widths[col.key]);
+          return text + ' '.repeat(widths[col.key] - visible.length);
+        }).join('  '));
+      });
+      count += rows.length;
+    },
+    end() {
+      if (count === 0) {
+        line(chalk.yellow(emptyMessage));
+        return;
+      }
+      line(chalk.dim(`\n${count} result(s)`));
+    }
+  };
+}
+
+function json({ write }) {
+  let first = true;
+
+  return {
+    begin(meta) {
+      const fields = Object.entries(envelope(meta)).map(([key, value]) => `  ${JSON.stringify(key)}: ${JSON.stringify(value)}`);
+      write('{\n' + [...fields, '  "results": ['].join(',\n'));
+    },
+    rows(rows) {
+      rows.forEach(row => {
+        const text = JSON.stringify(row, null, 2).replace(/\n/g, '\n    ');
+        write((first ? '\n    ' : ',\n    ') + text);
+        first = false;
+      });
+    },
+    end(meta) {
+      if (!meta) this.begin({ count: 0 });
+      write(first ? ']\n}\n' : '\n  ]\n}\n');
+    }
+  };
+}
+
+function ndjson({ write }) {
+  return {
+    begin() {},
+    rows(rows) {
+      rows.forEach(row => write(JSON.stringify(row) + '\n'));
+    },
+    end() {}
+  };
+}
+
+function delimited(delimiter) {
+  return ({ write, columns }) => ({
+    begin() {
+      write(toCsvLines([columns.map(col => col.key)], delimiter));
+    },
+    rows(rows) {
+      write(toCsvLines(rows.map(row => columns.map(col => row[col.key])), delimiter));
+    },
+    end(meta) {
+      if (!meta) this.begin();
+    }
+  });
+}
+
+function markdownCell(value) {
+  const text = value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function markdown({ write, columns, title }) {
+  return {
+    begin() {
+      if (title) write(`## ${stripVTControlCharacters(title)}\n\n`);
+      write(`| ${columns.map(col => markdownCell(col.label)).join(' | ')} |\n`);
+      write(`| ${columns.map(() => '---').join(' | ')} |\n`);
+    },
+    rows(rows) {
+      rows.forEach(row => write(`| ${columns.map(col => markdownCell(row[col.key])).join(' | ')} |\n`));
+    },
+    end(meta) {
+      if (!meta) this.begin();
+    }
+  };
+}
+
+function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  // Nested values use flow style, which is valid YAML
+  if (typeof value === 'object') return JSON.stringify(value);
+  const text = String(value);
+  const plain = /^[A-Za-z0-9À-ɏ_./()][^:#\n]*$/.test(text) &&
+    text.trim() === text &&
+    !/^(true|false|yes|no|on|off|null|~|[-+]?(\d[\d_]*(\.\d*)?|\.\d+)([eE][-+]?\d+)?|\d{4}-\d\d-\d\d.*)$/i.test(text);
+  return plain ? text : JSON.stringify(text);
+}
+
+function yaml({ write }) {
+  let empty = true;
+
+  return {
+    begin(meta) {
+      Object.entries(envelope(meta)).forEach(([key, value]) => write(`${key}: ${yamlScalar(value)}\n`));
+      write('results:\n');
+    },
+    rows(rows) {
+      rows.forEach(row => {
+        Object.entries(row).forEach(([key, value], i) => {
+          write(`${i === 0 ? '  - ' : '    '}${key}: ${yamlScalar(value)}\n`);
+        });
+        empty = false;
+      });
+    },
+    end(meta) {
+      if (!meta) this.begin({ count: 0 });
+      if (empty) write('  []\n');
+    }
+  };
+}
+
+const formatters = {
+  table,
+  json,
+  ndjson,
+  csv: delimited(','),
+  tsv: delimited('\t'),
+  markdown,
+  yaml
+};
+
+// Formats that print whole raw records unless --columns narrows them
+const RECORD_FORMATS = ['json', 'ndjson', 'yaml'];
+
+export function formatNames() {
+  return Object.keys(formatters);
+}
+
+/**
+ * Add or replace an output format
+ * @param {string} name - Value accepted by --format
+ * @param {Function} factory - Formatter factory (see above)
+ * @param {Object} options
+ * @param {boolean} options.records - Print whole records by default, like json
+ */
+export function registerFormatter(name, factory, options = {}) {
+  formatters[name] = factory;
+  if (options.records && !RECORD_FORMATS.includes(name)) RECORD_FORMATS.push(name);
+}
+
+export function isRecordFormat(name) {
+  return RECORD_FORMATS.includes(name);
+}
+
+/**
+ * Create a formatter for a named format
+ * @param {string} name - One of formatNames()
+ * @param {Object} options - { write, columns, title, color, emptyMessage }
+ */
+export function createFormatter(name, options) {
+  const factory = formatters[name];
+  if (!factory) {
+    throw new Error(`Unknown format "${name}". Must be one of: ${formatNames().join(', ')}`);
+  }
+  return factory(options);
+}
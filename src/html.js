@@ -0,0 +1,60 @@
+// ============================================================
+// Markup
+//
+// Escaping shared by every XML and HTML writer (the SVG chart, the XLSX
+// parts, the HTML pages) and the shell of the self-contained HTML pages,
+// so the chart, the export and the cellar report look alike.
+// ============================================================
+
+// Rules every page starts with; pages add their own after these
+const BASE_STYLE = [
+  'body { font-family: sans-serif; margin: 2rem; color: #222; }',
+  'table { border-collapse: collapse; margin: 0.5rem 0 1.5rem; }',
+  'th, td { padding: 0.3rem 0.8rem; border-bottom: 1px solid #ddd; text-align: left; }',
+  'th { background: #f5f0f2; }',
+  'small, .empty, footer { color: #777; }'
+];
+
+/**
+ * A value as text for XML content or a quoted attribute. Null and undefined
+ * become empty, and control characters XML 1.0 does not allow are dropped.
+ */
+export function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/** HTML text is escaped the same way */
+export const escapeHtml = escapeXml;
+
+/**
+ * A self-contained HTML page: the title as its heading, then the body
+ * @param {Object} page
+ * @param {string} page.title - Page title, not yet escaped
+ * @param {string} page.body - Markup after the heading
+ * @param {string[]} page.style - CSS rules added to the base style
+ * @param {string} page.script - Script run at the end of the page
+ * @returns {string} The HTML document
+ */
+export function htmlPage({ title, body, style = [], script }) {
+  const heading = escapeHtml(title);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${heading}</title>
+<style>
+${[...BASE_STYLE, ...style].map(rule => `  ${rule}`).join('\n')}
+</style>
+</head>
+<body>
+<h1>${heading}</h1>
+${body}
+${script ? `<script>\n${script}\n</script>\n` : ''}</body>
+</html>
+`;
+}
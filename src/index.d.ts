@@ -0,0 +1,240 @@
+export declare const DEFAULT_BASE_URL: string;
+
+export type WineColor = 'red' | 'white' | 'pink';
+
+/** A score row as returned by the API */
+export interface WineScore {
+  wine_id?: string | number;
+  wine?: string;
+  wine_name?: string;
+  vintage?: string;
+  score?: number;
+  confidence_index?: string;
+  appellation?: string;
+  color?: WineColor | string;
+  lwin?: string;
+  lwin_11?: string;
+  is_primeurs?: boolean;
+  date?: string;
+  [field: string]: unknown;
+}
+
+/** One page of a paginated scores endpoint */
+export interface ScorePage<T = WineScore> {
+  count: number;
+  next: string | null;
+  previous: string | null;
+  results: T[];
+}
+
+export interface ScoreFilters {
+  wine_id?: string | number;
+  /** A year, or several: '2009..2016', '2010,2015' or [2010, 2015] (fanned out into one request each) */
+  vintage?: string | number | Array<string | number>;
+  /** A color, or several: 'red,white' or ['red', 'white'] */
+  color?: WineColor | string | string[];
+  is_primeurs?: boolean;
+  lwin?: string;
+  lwin_11?: string;
+  limit?: number;
+  offset?: number;
+  /** e.g. 'score', '-score', 'date', '-date' */
+  ordering?: string;
+}
+
+export interface SearchOptions extends ScoreFilters {
+  /** Drop wines scored below this */
+  min_score?: number;
+  /** Matches to return (default: 20) */
+  limit?: number;
+  /** Score rows to scan (default: 500) */
+  scan?: number;
+  /** Minimum match quality, 0-1 (default: 0.6) */
+  threshold?: number;
+}
+
+export interface SearchResult {
+  count: number;
+  scanned: number;
+  results: Array<WineScore & { match: number }>;
+}
+
+export interface HttpRequest {
+  method: 'GET';
+  url: string;
+  headers: Record<string, string>;
+  params: Record<string, string | number | boolean>;
+}
+
+export interface HttpResponse {
+  status: number;
+  headers: Record<string, string | undefined>;
+  data: any;
+}
+
+/**
+ * Performs one HTTP request. Resolves for every HTTP response (including
+ * 4xx/5xx) and rejects only when no response arrived.
+ */
+export type HttpAdapter = (request: HttpRequest) => Promise<HttpResponse>;
+
+export interface CachedResponse {
+  data: any;
+  stale?: boolean;
+}
+
+export interface ResponseCache {
+  /** `url` is the full request URL without query string; `params` are the query params */
+  /** `scope` is a fingerprint of the API token; entries are only shared within a scope */
+  get(url: string, params: Record<string, unknown>, options: { allowStale: boolean; scope: string }): CachedResponse | null;
+  set(url: string, params: Record<string, unknown>, data: any, options: { scope: string }): void;
+}
+
+export interface ClientOptions {
+  /** API token */
+  token?: string;
+  /** API base URL (default: https://api.globalwinescore.com) */
+  baseUrl?: string;
+  /** HTTP adapter (default: axiosAdapter) */
+  adapter?: HttpAdapter;
+  /** Client-side rate limit; 0 disables it (default: 10) */
+  requestsPerMinute?: number;
+  /** Retries for 429 and 5xx responses (default: 3) */
+  maxRetries?: number;
+  /** Response cache */
+  cache?: ResponseCache | null;
+  /** Answer only from the cache */
+  offline?: boolean;
+  /** Receives diagnostic messages (requests, waits, retries) */
+  logger?: (message: string) => void;
+}
+
+export interface IterateOptions {
+  /** Page through historical scores instead (business plan) */
+  historical?: boolean;
+  /** Stop after this many results */
+  max?: number;
+}
+
+export declare class GlobalWineScoreClient {
+  constructor(options?: ClientOptions);
+
+  token: string;
+  baseUrl: string;
+  adapter: HttpAdapter;
+  requestsPerMinute: number;
+  maxRetries: number;
+  cache: ResponseCache | null;
+  offline: boolean;
+  logger: (message: string) => void;
+
+  request<T = any>(endpoint: string, params?: Record<string, unknown>): Promise<T>;
+
+  getLatestScores(filters?: ScoreFilters): Promise<ScorePage>;
+  getHistoricalScores(filters?: ScoreFilters): Promise<ScorePage>;
+  iteratePages(filters?: ScoreFilters, options?: IterateOptions): AsyncGenerator<ScorePage>;
+  iterateScores(filters?: ScoreFilters, options?: IterateOptions): AsyncGenerator<WineScore>;
+  searchWines(query: string, options?: SearchOptions): Promise<SearchResult>;
+  getScoresByVintage(vintage: string | number, options?: ScoreFilters): Promise<ScorePage>;
+  getScoresByColor(color: WineColor | string, options?: ScoreFilters): Promise<ScorePage>;
+  getScoresByWineId(wineId: string | number, options?: ScoreFilters): Promise<ScorePage>;
+  getScoresByLwin(lwin: string | undefined, options?: ScoreFilters): Promise<ScorePage>;
+  getTopRated(options?: ScoreFilters): Promise<ScorePage>;
+}
+
+export declare const axiosAdapter: HttpAdapter;
+
+/** Base class of the errors the client throws for failed requests */
+export declare class GlobalWineScoreError extends Error {
+  constructor(message: string, options?: { status?: number; cause?: unknown });
+  /** HTTP status, when the API answered */
+  status?: number;
+  /** Exit code of the CLI when this error ends it */
+  exitCode: number;
+  toJSON(): { type: string; message: string; status?: number; exit_code: number };
+}
+
+/** The API token is missing or was rejected (HTTP 401) */
+export declare class AuthError extends GlobalWineScoreError {}
+
+/** The token's plan does not include the endpoint (HTTP 403) */
+export declare class PlanRequiredError extends GlobalWineScoreError {}
+
+/** Still rate limited (HTTP 429) once the retries ran out */
+export declare class RateLimitError extends GlobalWineScoreError {
+  constructor(message: string, options?: { status?: number; cause?: unknown; retryAfter?: number });
+  /** Seconds the API asked to wait, when it said */
+  retryAfter?: number;
+}
+
+/** Nothing found for the identifier asked for (HTTP 404) */
+export declare class NotFoundError extends GlobalWineScoreError {}
+
+/** No usable response: the connection failed or the API was unavailable (HTTP 502-504) */
+export declare class NetworkError extends GlobalWineScoreError {}
+
+/** Offline mode, and the response cache has no answer for the request */
+export declare class OfflineError extends GlobalWineScoreError {}
+
+/** CLI exit code per error type */
+export declare const EXIT_CODES: {
+  GlobalWineScoreError: number;
+  AuthError: number;
+  PlanRequiredError: number;
+  RateLimitError: number;
+  NotFoundError: number;
+  NetworkError: number;
+  OfflineError: number;
+};
+
+export declare function paginate<F extends ScoreFilters, T = WineScore>(
+  fetchPage: (filters: F) => Promise<ScorePage<T>>,
+  filters?: F,
+  options?: { max?: number }
+): AsyncGenerator<ScorePage<T>>;
+
+export interface RateLimiter {
+  /** Take one token, waiting if the bucket is empty; resolves with ms waited */
+  take(): Promise<number>;
+}
+
+export declare function createRateLimiter(options: { requestsPerMinute: number; burst?: number }): RateLimiter;
+
+/** Strip accents and punctuation, lowercase */
+export declare function normalizeText(text: unknown): string;
+
+/** How well a wine matches a free-text query, from 0 to 1 */
+export declare function matchScore(query: string, wine: WineScore): number;
+
+export interface ParsedLwin {
+  /** The code with separators removed */
+  lwin: string;
+  format: 'LWIN-7' | 'LWIN-11' | 'LWIN-16' | 'LWIN-18';
+  lwin7: string;
+  lwin11: string | null;
+  /** Four-digit year, 'NV' for non-vintage, null for LWIN-7 */
+  vintage: string | null;
+  /** Bottle size in ml (LWIN-16/18) */
+  bottleSize: number | null;
+  /** Bottles per pack (LWIN-18) */
+  pack: number | null;
+  /** The API filter to query with */
+  filters: { lwin: string } | { lwin_11: string };
+}
+
+/** Validate and split an L-WIN; throws an Error describing the problem */
+export declare function parseLwin(input: string | number): ParsedLwin;
+
+export declare function isLwin(input: unknown): boolean;
+
+/** e.g. "1012361 · 2015 · 6 × 75cl" */
+export declare function describeLwin(parsed: ParsedLwin): string;
+
+/** Bottle size in ml as a label, e.g. 750 -> "75cl" */
+export declare function formatBottleSize(ml: number): string;
+
+/** Expand a vintage specification ('2009..2016', '2010,2015', [2010, 2015]) into distinct years, ascending */
+export declare function parseVintages(value: string | number | Array<string | number>): string[];
+
+/** Split a color specification ('red,white') into distinct lower-case colors */
+export declare function parseColors(value: string | string[]): string[];
@@ -0,0 +1,105 @@
+// ============================================================
+// L-WIN identifiers
+//
+// The Liv-ex Wine Identification Number comes in four lengths, each
+// extending the one before:
+//   LWIN-7   1012361              the wine (producer + label)
+//   LWIN-11  1012361 2015         + vintage (1000 = non-vintage)
+//   LWIN-16  1012361 2015 00750   + bottle size in ml
+//   LWIN-18  1012361 2015 06 00750  + pack size between vintage and bottle size
+// The API filters on LWIN-7 (`lwin`) and LWIN-11 (`lwin_11`); longer codes
+// are routed to their LWIN-11 prefix.
+// ============================================================
+
+const LENGTHS = [7, 11, 16, 18];
+const NON_VINTAGE = '1000';
+const FIRST_VINTAGE = 1800;
+
+function invalid(input, reason) {
+  return new Error(`Invalid L-WIN "${input}": ${reason}`);
+}
+
+/**
+ * Bottle size in ml as a label, e.g. 750 -> "75cl", 1500 -> "1.5l"
+ */
+export function formatBottleSize(ml) {
+  if (ml >= 1000) return `${ml / 1000}l`;
+  return `${ml / 10}cl`;
+}
+
+/**
+ * Validate and split an L-WIN. Spaces and hyphens between digit groups are
+ * ignored, so "1012361-2015-06-00750" is accepted.
+ * @param {string|number} input - LWIN-7, LWIN-11, LWIN-16 or LWIN-18
+ * @returns {Object} { lwin, format, lwin7, lwin11, vintage, bottleSize, pack, filters }
+ *   - vintage is 'NV' for non-vintage codes, bottleSize is in ml, and
+ *   filters holds the API filter to query with ({ lwin } or { lwin_11 })
+ * @throws {Error} Describing what is wrong with the input
+ */
+export function parseLwin(input) {
+  const raw = String(input ?? '').trim();
+  if (!raw) throw new Error('Invalid L-WIN: no identifier given');
+
+  const lwin = raw.replace(/[\s-]/g, '');
+  if (!/^\d+$/.test(lwin)) {
+    throw invalid(raw, 'only digits are allowed (optionally grouped with spaces or hyphens)');
+  }
+  if (!LENGTHS.includes(lwin.length)) {
+    throw invalid(raw, `expected 7, 11, 16 or 18 digits, got ${lwin.length}`);
+  }
+  if (lwin.startsWith('0')) {
+    throw invalid(raw, 'L-WIN codes do not start with 0');
+  }
+
+  const parsed = {
+    lwin,
+    format: `LWIN-${lwin.length}`,
+    lwin7: lwin.slice(0, 7),
+    lwin11: null,
+    vintage: null,
+    bottleSize: null,
+    pack: null,
+    filters: { lwin: lwin.slice(0, 7) }
+  };
+  if (lwin.length === 7) return parsed;
+
+  const year = lwin.slice(7, 11);
+  const latest = new Date().getFullYear() + 1;
+  if (year !== NON_VINTAGE && (Number(year) < FIRST_VINTAGE || Number(year) > latest)) {
+    throw invalid(raw, `vintage ${year} is not a year between ${FIRST_VINTAGE} and ${latest} (or 1000 for non-vintage)`);
+  }
+  parsed.lwin11 = lwin.slice(0, 11);
+  parsed.vintage = year === NON_VINTAGE ? 'NV' : year;
+  parsed.filters = { lwin_11: parsed.lwin11 };
+  if (lwin.length === 11) return parsed;
+
+  const pack = lwin.length === 18 ? Number(lwin.slice(11, 13)) : null;
+  const bottleSize = Number(lwin.slice(-5));
+  if (pack === 0) throw invalid(raw, 'pack size 00 is not valid');
+  if (bottleSize === 0) throw invalid(raw, 'bottle size 00000 is not valid');
+  parsed.pack = pack;
+  parsed.bottleSize = bottleSize;
+  return parsed;
+}
+
+/**
+ * Whether the input is a valid L-WIN of any length
+ */
+export function isLwin(input) {
+  try {
+    parseLwin(input);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Human-readable breakdown, e.g. "1012361 · 2015 · 6 × 75cl"
+ */
+export function describeLwin(parsed) {
+  const parts = [parsed.lwin7];
+  if (parsed.vintage) parts.push(parsed.vintage);
+  if (parsed.bottleSize) parts.push(`${parsed.pack ? `${parsed.pack} × ` : ''}${formatBottleSize(parsed.bottleSize)}`);
+  return parts.join(' · ');
+}
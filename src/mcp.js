@@ -0,0 +1,225 @@
+import { createInterface } from 'readline';
+import {
+  getLatestScores,
+  getScoresByLwin,
+  getScoresByWineId,
+  getTopRated,
+  searchWines
+} from './api.js';
+
+// ============================================================
+// MCP server
+//
+// Model Context Protocol over stdio: newline-delimited JSON-RPC 2.0 on
+// stdin/stdout. Only the tools capability is implemented. stdout carries
+// protocol messages only; diagnostics go to stderr.
+// ============================================================
+
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+
+// Filters accepted by the latest scores endpoint (see buildParams in client.js)
+const FILTERS = {
+  wine_id: { type: 'integer', description: 'GlobalWineScore wine ID' },
+  vintage: { type: 'integer', minimum: 1800, maximum: 2100, description: 'Vintage year, e.g. 2015' },
+  color: { type: 'string', enum: ['red', 'white', 'pink'], description: 'Wine color' },
+  is_primeurs: { type: 'boolean', description: 'true for en primeur (barrel) scores, false for bottled' },
+  lwin: { type: 'string', pattern: '^\\d{7}$', description: 'L-WIN-7 wine identifier' },
+  lwin_11: { type: 'string', pattern: '^\\d{11}$', description: 'L-WIN-11 identifier (wine + vintage)' },
+  limit: { type: 'integer', minimum: 1, maximum: 100, description: 'Results per page (default: 20)' },
+  offset: { type: 'integer', minimum: 0, description: 'Results to skip, for paging' },
+  ordering: { type: 'string', description: 'Sort fields, comma-separated; prefix with - for descending, e.g. "-score"' }
+};
+
+function pick(keys) {
+  return Object.fromEntries(keys.map(key => [key, FILTERS[key]]));
+}
+
+const TOOLS = [
+  {
+    name: 'get_latest_scores',
+    description: 'Latest GlobalWineScores, filtered by wine, vintage, color or L-WIN. Returns { count, next, previous, results }.',
+    inputSchema: { type: 'object', properties: { ...FILTERS }, additionalProperties: false },
+    call: (args) => getLatestScores({ limit: 20, ...args })
+  },
+  {
+    name: 'get_scores_by_lwin',
+    description: 'Scores for one wine by L-WIN-7 (every vintage) or L-WIN-11/16/18 (that vintage).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        lwin: { type: 'string', pattern: '^\\d{7}(\\d{4}(\\d{5}|\\d{7})?)?$', description: 'L-WIN-7, -11, -16 or -18 identifier' },
+        ...pick(['vintage', 'is_primeurs', 'limit', 'offset', 'ordering'])
+      },
+      required: ['lwin'],
+      additionalProperties: false
+    },
+    call: ({ lwin, ...args }) => getScoresByLwin(lwin, args)
+  },
+  {
+    name: 'get_scores_by_wine_id',
+    description: 'Scores for one wine by GlobalWineScore wine ID, across vintages.',
+    inputSchema: {
+      type: 'object',
+      properties: pick(['wine_id', 'vintage', 'is_primeurs', 'limit', 'offset', 'ordering']),
+      required: ['wine_id'],
+      additionalProperties: false
+    },
+    call: ({ wine_id, ...args }) => getScoresByWineId(wine_id, args)
+  },
+  {
+    name: 'get_top_rated',
+    description: 'Highest-scoring wines, optionally within a color and/or vintage.',
+    inputSchema: {
+      type: 'object',
+      properties: pick(['color', 'vintage', 'is_primeurs', 'limit', 'offset']),
+      additionalProperties: false
+    },
+    call: (args) => getTopRated(args)
+  },
+  {
+    name: 'search_wines',
+    description: 'Fuzzy, accent-insensitive text search on wine name, appellation, region and country. Returns { count, scanned, results } with a match score (0-1) per result.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', minLength: 1, description: 'Text to search for, e.g. "chateau margaux" or "pauillac"' },
+        ...pick(['color', 'vintage', 'is_primeurs']),
+        min_score: { type: 'number', minimum: 0, maximum: 100, description: 'Only wines scoring at least this' },
+        limit: { type: 'integer', minimum: 1, description: 'Matches to return (default: 20)' },
+        scan: { type: 'integer', minimum: 1, description: 'Score rows to scan, highest first (default: 500)' }
+      },
+      required: ['query'],
+      additionalProperties: false
+    },
+    call: ({ query, ...args }) => searchWines(query, args)
+  }
+];
+
+function typeMatches(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && !Number.isNaN(value);
+  return typeof value === type;
+}
+
+/**
+ * Check tool arguments against the subset of JSON Schema the tool
+ * definitions use, so bad input fails locally instead of upstream
+ * @returns {string|null} The first problem found
+ */
+function validateArguments(schema, args) {
+  if (args === null || typeof args !== 'object' || Array.isArray(args)) return 'arguments must be an object';
+  for (const key of schema.required || []) {
+    if (args[key] === undefined) return `missing required argument: ${key}`;
+  }
+  for (const [key, value] of Object.entries(args)) {
+    const property = schema.properties[key];
+    if (!property) return `unknown argument: ${key}`;
+    if (!typeMatches(value, property.type)) return `${key} must be of type ${property.type}`;
+    if (property.enum && !property.enum.includes(value)) return `${key} must be one of: ${property.enum.join(', ')}`;
+    if (property.pattern && !new RegExp(property.pattern).test(value)) return `${key} does not match ${property.pattern}`;
+    if (property.minLength !== undefined && value.length < property.minLength) return `${key} must not be empty`;
+    if (property.minimum !== undefined && value < property.minimum) return `${key} must be at least ${property.minimum}`;
+    if (property.maximum !== undefined && value > property.maximum) return `${key} must be at most ${property.maximum}`;
+  }
+  return null;
+}
+
+async function callTool(params = {}) {
+  const tool = TOOLS.find(t => t.name === params.name);
+  if (!tool) {
+    throw Object.assign(new Error(`Unknown tool: ${params.name}`), { code: INVALID_PARAMS });
+  }
+
+  const args = params.arguments ?? {};
+  const problem = validateArguments(tool.inputSchema, args);
+  if (problem) {
+    return { content: [{ type: 'text', text: `Invalid arguments: ${problem}` }], isError: true };
+  }
+
+  // API failures are tool results the model can read, not protocol errors
+  try {
+    const data = await tool.call(args);
+    return { content: [{ type: 'text', text: JSON.stringify(data) }], structuredContent: data };
+  } catch (error) {
+    return { content: [{ type: 'text', text: error.message }], isError: true };
+  }
+}
+
+async function handle(message, serverInfo) {
+  switch (message.method) {
+    case 'initialize': {
+      const requested = message.params?.protocolVersion;
+      return {
+        protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+        capabilities: { tools: { listChanged: false } },
+        serverInfo
+      };
+    }
+    case 'ping':
+      return {};
+    case 'tools/list':
+      return { tools: TOOLS.map(({ call, ...tool }) => tool) };
+    case 'tools/call':
+      return await callTool(message.params);
+    default:
+      throw Object.assign(new Error(`Method not found: ${message.method}`), { code: METHOD_NOT_FOUND });
+  }
+}
+
+/**
+ * Serve MCP over a pair of streams until the input ends
+ * @param {Object} options
+ * @param {stream.Readable} options.input - Default: process.stdin
+ * @param {stream.Writable} options.output - Default: process.stdout
+ * @param {string} options.version - Reported in serverInfo
+ * @param {Function} options.logger - Receives one line per request (write it to stderr, never stdout)
+ * @returns {Promise<void>} Resolves when the input closes
+ */
+export function runMcpServer(options = {}) {
+  const output = options.output || process.stdout;
+  const log = options.logger || (() => {});
+  const serverInfo = { name: 'globalwinescore', version: options.version || '1.0.0' };
+  const send = (message) => output.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+
+  const lines = createInterface({ input: options.input || process.stdin, crlfDelay: Infinity });
+
+  lines.on('line', async (line) => {
+    if (!line.trim()) return;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      send({ id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+      return;
+    }
+
+    if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      // Responses from the client (we send no requests) and malformed messages
+      if (message?.id !== undefined && message?.method !== undefined) {
+        send({ id: message.id, error: { code: INVALID_REQUEST, message: 'Invalid request' } });
+      }
+      return;
+    }
+
+    // Notifications (no id) need no reply
+    if (message.id === undefined) {
+      log(`notification ${message.method}`);
+      return;
+    }
+
+    log(`${message.method}${message.params?.name ? ` ${message.params.name}` : ''}`);
+    try {
+      send({ id: message.id, result: await handle(message, serverInfo) });
+    } catch (error) {
+      send({ id: message.id, error: { code: error.code || -32603, message: error.message } });
+    }
+  });
+
+  return new Promise((resolve) => lines.on('close', resolve));
+}
@@ -0,0 +1,132 @@
+import http from 'http';
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+const ROUTES = {
+  '/globalwinescores/latest/': 'latest.json',
+  '/globalwinescores/': 'historical.json'
+};
+
+const FILTERS = ['wine_id', 'vintage', 'color', 'lwin', 'lwin_11'];
+const DEFAULT_LIMIT = 100;
+
+function loadFixtures(dir) {
+  return Object.fromEntries(Object.entries(ROUTES).map(([path, file]) => [
+    path,
+    JSON.parse(readFileSync(join(dir, file), 'utf8'))
+  ]));
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return 1;
+  if (b === undefined || b === null) return -1;
+  return typeof a === 'number' && typeof b === 'number' ? a - b : String(a).localeCompare(String(b));
+}
+
+/**
+ * Apply the API's filters and ordering to fixture rows
+ */
+function query(rows, params) {
+  let results = rows.filter(row => FILTERS.every(key => !params.has(key) || String(row[key]) === params.get(key)));
+
+  if (params.has('is_primeurs')) {
+    const primeurs = ['true', '1', 'True'].includes(params.get('is_primeurs'));
+    results = results.filter(row => row.is_primeurs === primeurs);
+  }
+
+  if (params.has('ordering')) {
+    const keys = params.get('ordering').split(',').map(key => key.trim()).filter(Boolean);
+    results = [...results].sort((a, b) => {
+      for (const key of keys) {
+        const field = key.replace(/^-/, '');
+        const order = compare(a[field], b[field]) * (key.startsWith('-') ? -1 : 1);
+        if (order !== 0) return order;
+      }
+      return 0;
+    });
+  }
+
+  return results;
+}
+
+function pageUrl(origin, pathname, params, offset, limit) {
+  const next = new URLSearchParams(params);
+  next.set('limit', limit);
+  if (offset > 0) next.set('offset', offset); else next.delete('offset');
+  return `${origin}${pathname}?${next}`;
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Create a local stand-in for the GlobalWineScore API, serving the latest
+ * and historical endpoints from fixture files with the API's filtering,
+ * ordering and limit/offset pagination
+ * @param {Object} options
+ * @param {string} options.fixturesDir - Directory holding latest.json and historical.json (default: bundled fixtures)
+ * @param {string} options.token - Only accept this API token (default: any token)
+ * @param {string} options.businessToken - Token allowed on the historical endpoint; others get 403 (default: any token)
+ * @param {number} options.rateLimit - Requests per minute before answering 429 (default: unlimited)
+ * @param {Function} options.logger - Receives one line per request
+ * @returns {http.Server} Unstarted server; call listen()
+ */
+export function createMockServer(options = {}) {
+  const fixtures = loadFixtures(options.fixturesDir || FIXTURES_DIR);
+  const log = options.logger || (() => {});
+  let window = { start: Date.now(), count: 0 };
+
+  return http.createServer((req, res) => {
+    const origin = `http://${req.headers.host || 'localhost'}`;
+    const url = new URL(req.url, origin);
+    const respond = (status, body, headers) => {
+      log(`${req.method} ${url.pathname}${url.search} -> ${status}`);
+      send(res, status, body, headers);
+    };
+
+    const rows = fixtures[url.pathname];
+    if (!rows || req.method !== 'GET') {
+      respond(404, { detail: 'Not found.' });
+      return;
+    }
+
+    const token = (req.headers.authorization || '').match(/^Token (.+)$/)?.[1];
+    if (!token || (options.token && token !== options.token)) {
+      respond(401, { detail: 'Invalid token.' });
+      return;
+    }
+
+    if (options.rateLimit) {
+      const now = Date.now();
+      if (now - window.start >= 60000) window = { start: now, count: 0 };
+      if (++window.count > options.rateLimit) {
+        const retryAfter = Math.ceil((window.start + 60000 - now) / 1000);
+        respond(429, { detail: `Request was throttled. Expected available in ${retryAfter} seconds.` }, { 'Retry-After': String(retryAfter) });
+        return;
+      }
+    }
+
+    if (url.pathname === '/globalwinescores/' && options.businessToken && token !== options.businessToken) {
+      respond(403, { detail: 'You do not have permission to perform this action.' });
+      return;
+    }
+
+    const params = url.searchParams;
+    const results = query(rows, params);
+    const limit = Math.max(1, parseInt(params.get('limit')) || DEFAULT_LIMIT);
+    const offset = Math.max(0, parseInt(params.get('offset')) || 0);
+
+    respond(200, {
+      count: results.length,
+      next: offset + limit < results.length ? pageUrl(origin, url.pathname, params, offset + limit, limit) : null,
+      previous: offset > 0 ? pageUrl(origin, url.pathname, params, Math.max(0, offset - limit), limit) : null,
+      results: results.slice(offset, offset + limit)
+    });
+  });
+}
@@ -0,0 +1,135 @@
+// ============================================================
+// En primeur tracking
+//
+// Pairs the barrel (en primeur) score of each wine in a vintage with its
+// score after bottling and measures how far the two moved apart. A delta
+// is bottled minus primeur: positive when the wine scored higher once
+// bottled, negative when the barrel tasting flattered it.
+// ============================================================
+
+// Deltas this small count as the barrel tasting being right
+const ACCURATE_WITHIN = 1;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function hasScore(row) {
+  return row.score !== undefined && row.score !== null && !Number.isNaN(Number(row.score));
+}
+
+/**
+ * The most recent row per key, so a re-published score replaces the older one
+ */
+function latestBy(rows, keyOf) {
+  const latest = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (key === undefined || key === null || key === '') continue;
+    const current = latest.get(key);
+    if (!current || String(row.date || '') > String(current.date || '')) latest.set(key, row);
+  }
+  return latest;
+}
+
+// A wine's scores pair up within one vintage; a range of vintages holds several
+const byWineId = (row) => row.wine_id === undefined || row.wine_id === null ? null : `${row.wine_id}|${row.vintage}`;
+const byLwin = (row) => row.lwin_11 || (row.lwin ? `${row.lwin}|${row.vintage}` : null);
+
+/**
+ * Statistics of a list of deltas
+ * @param {number[]} deltas - Bottled minus primeur scores
+ * @returns {Object} { count, mean, mean_abs, median, stddev, min, max, higher, lower, accurate }
+ *   - mean is the bias (positive: barrel scores ran low), mean_abs the typical
+ *   error either way, higher/lower count wines that moved up/down once
+ *   bottled, and accurate counts those within a point
+ */
+export function summarizeDeltas(deltas) {
+  if (deltas.length === 0) {
+    return { count: 0, mean: null, mean_abs: null, median: null, stddev: null, min: null, max: null, higher: 0, lower: 0, accurate: 0 };
+  }
+
+  const sorted = [...deltas].sort((a, b) => a - b);
+  const mean = deltas.reduce((sum, d) => sum + d, 0) / deltas.length;
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+
+  return {
+    count: deltas.length,
+    mean: round(mean),
+    mean_abs: round(deltas.reduce((sum, d) => sum + Math.abs(d), 0) / deltas.length),
+    median: round(median),
+    stddev: round(Math.sqrt(deltas.reduce((sum, d) => sum + (d - mean) ** 2, 0) / deltas.length)),
+    min: round(sorted[0]),
+    max: round(sorted[sorted.length - 1]),
+    higher: deltas.filter(d => d > 0).length,
+    lower: deltas.filter(d => d < 0).length,
+    accurate: deltas.filter(d => Math.abs(d) <= ACCURATE_WITHIN).length
+  };
+}
+
+/**
+ * Match en primeur and bottled scores for the same wines and report the
+ * barrel-to-bottle delta per wine, per appellation and overall. Wines are
+ * matched by wine ID, then by L-WIN, within each vintage.
+ * @param {Object[]} primeurs - En primeur score rows (is_primeurs: true)
+ * @param {Object[]} bottled - Bottled score rows of the same vintage
+ * @returns {Object} { overall, appellations, wines, unmatched }
+ *   - wines: [{ wine_id, lwin, wine_name, vintage, appellation, color, primeur_score,
+ *     primeur_confidence, primeur_date, bottled_score, bottled_confidence,
+ *     bottled_date, delta }], largest move first
+ *   - appellations: [{ appellation, ...summarizeDeltas }], most wines first
+ *   - unmatched: { primeurs, bottled } - counts of wines scored only one way
+ */
+export function comparePrimeurs(primeurs, bottled) {
+  const barrel = latestBy(primeurs.filter(hasScore), (row) => byWineId(row) || byLwin(row));
+  const bottledById = latestBy(bottled.filter(hasScore), byWineId);
+  const bottledByLwin = latestBy(bottled.filter(hasScore), byLwin);
+
+  const wines = [];
+  const paired = new Set();
+  for (const primeur of barrel.values()) {
+    const match = bottledById.get(byWineId(primeur)) || bottledByLwin.get(byLwin(primeur));
+    if (!match) continue;
+    paired.add(match);
+
+    const delta = round(Number(match.score) - Number(primeur.score));
+    wines.push({
+      wine_id: primeur.wine_id ?? match.wine_id ?? null,
+      lwin: primeur.lwin_11 || match.lwin_11 || primeur.lwin || match.lwin || null,
+      wine_name: primeur.wine_name || primeur.wine || match.wine || null,
+      vintage: primeur.vintage ?? match.vintage ?? null,
+      appellation: primeur.appellation || match.appellation || null,
+      color: primeur.color || match.color || null,
+      primeur_score: Number(primeur.score),
+      primeur_confidence: primeur.confidence_index ?? null,
+      primeur_date: primeur.date ?? null,
+      bottled_score: Number(match.score),
+      bottled_confidence: match.confidence_index ?? null,
+      bottled_date: match.date ?? null,
+      delta
+    });
+  }
+  wines.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || b.bottled_score - a.bottled_score);
+
+  const groups = new Map();
+  for (const wine of wines) {
+    const key = wine.appellation ?? 'N/A';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(wine.delta);
+  }
+  const appellations = [...groups.entries()]
+    .map(([appellation, deltas]) => ({ appellation, ...summarizeDeltas(deltas) }))
+    .sort((a, b) => b.count - a.count || a.mean_abs - b.mean_abs);
+
+  const bottledWines = new Set([...bottledById.values(), ...bottledByLwin.values()]);
+  return {
+    overall: summarizeDeltas(wines.map(wine => wine.delta)),
+    appellations,
+    wines,
+    unmatched: {
+      primeurs: barrel.size - wines.length,
+      bottled: [...bottledWines].filter(row => !paired.has(row)).length
+    }
+  };
+}
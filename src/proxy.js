@@ -0,0 +1,216 @@
+import http from 'http';
+import {
+  getLatestScores,
+  getHistoricalScores,
+  getScoresByWineId,
+  searchWines,
+  paginate
+} from './api.js';
+import { summarize, summarizeBy, histogram } from './stats.js';
+import { GlobalWineScoreError } from './errors.js';
+
+const PASSTHROUGH = {
+  '/globalwinescores/latest/': getLatestScores,
+  '/globalwinescores/': getHistoricalScores
+};
+
+const GROUP_FIELDS = ['color', 'appellation', 'vintage', 'country', 'wine_type'];
+const PAGE_SIZE = 100;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * HTTP status for a failed request: our own HttpErrors and upstream HTTP
+ * errors keep theirs, other upstream and network failures are a bad
+ * gateway, and anything else (an invalid vintage, fan-out or filter) is
+ * the caller's request
+ */
+function errorStatus(error) {
+  if (error instanceof HttpError) return error.status;
+  if (error instanceof GlobalWineScoreError) return error.status || 502;
+  return 400;
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(status === 204 ? undefined : JSON.stringify(body));
+}
+
+function queryObject(params) {
+  const values = Object.fromEntries(params);
+  delete values.api_key;
+  return values;
+}
+
+function parseBoolean(value) {
+  if (value === undefined) return undefined;
+  return ['true', '1', 'yes'].includes(String(value).toLowerCase());
+}
+
+function parseNumber(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (Number.isNaN(number)) throw new HttpError(400, `${name} must be a number`);
+  return number;
+}
+
+// Point upstream next/previous links back at this server
+function rewriteLink(link, origin) {
+  if (!link) return link;
+  try {
+    const url = new URL(link);
+    return `${origin}${url.pathname}${url.search}`;
+  } catch {
+    return link;
+  }
+}
+
+async function fetchAll(fetchPage, filters, max) {
+  const rows = [];
+  for await (const page of paginate(fetchPage, { ...filters, limit: PAGE_SIZE }, { max })) {
+    rows.push(...page.results);
+  }
+  return rows;
+}
+
+function scoreFilters(query) {
+  const filters = {};
+  if (query.color) filters.color = query.color.toLowerCase();
+  if (query.vintage) filters.vintage = query.vintage;
+  if (query.is_primeurs !== undefined) filters.is_primeurs = parseBoolean(query.is_primeurs);
+  return filters;
+}
+
+/**
+ * Create a local REST server in front of the GlobalWineScore API. Every
+ * client shares one rate limiter and the on-disk response cache, and
+ * identical requests in flight at the same time are sent upstream once.
+ *
+ * Routes:
+ *   GET /globalwinescores/latest/, /globalwinescores/  - upstream passthrough
+ *   GET /search?q=...                                   - fuzzy text search
+ *   GET /wines/:id/vintages                             - every vintage of a wine
+ *   GET /stats?group_by=appellation                     - confidence-weighted statistics
+ *   GET /health
+ * @param {Object} options
+ * @param {string} options.apiKey - Require this key (X-API-Key header, `Authorization: Token <key>` or ?api_key=)
+ * @param {string} options.cors - Access-Control-Allow-Origin value; omit to disable CORS
+ * @param {number} options.maxScan - Most upstream rows read by /stats and /wines/:id/vintages (default: 1000)
+ * @param {Function} options.logger - Receives one line per request
+ * @returns {http.Server} Unstarted server; call listen()
+ */
+export function createProxyServer(options = {}) {
+  const log = options.logger || (() => {});
+  const maxScan = options.maxScan || 1000;
+  const inflight = new Map();
+
+  function coalesce(key, fn) {
+    if (!inflight.has(key)) {
+      inflight.set(key, fn().finally(() => inflight.delete(key)));
+    }
+    return inflight.get(key);
+  }
+
+  function authorized(req, url) {
+    if (!options.apiKey) return true;
+    const header = req.headers['x-api-key'] || (req.headers.authorization || '').match(/^(?:Token|Bearer) (.+)$/)?.[1];
+    return (header || url.searchParams.get('api_key')) === options.apiKey;
+  }
+
+  async function route(url, origin) {
+    const query = queryObject(url.searchParams);
+
+    if (url.pathname === '/health') {
+      return { status: 'ok' };
+    }
+
+    const upstream = PASSTHROUGH[url.pathname];
+    if (upstream) {
+      const data = await coalesce(`${url.pathname}?${JSON.stringify(query)}`, () => upstream(query));
+      return { ...data, next: rewriteLink(data.next, origin), previous: rewriteLink(data.previous, origin) };
+    }
+
+    if (url.pathname === '/search') {
+      if (!query.q) throw new HttpError(400, 'Missing query parameter: q');
+      const search = {
+        ...scoreFilters(query),
+        min_score: parseNumber(query.min_score, 'min_score'),
+        limit: parseNumber(query.limit, 'limit'),
+        scan: parseNumber(query.scan, 'scan')
+      };
+      Object.keys(search).forEach(key => search[key] === undefined && delete search[key]);
+      return await coalesce(`search?${JSON.stringify(query)}`, () => searchWines(query.q, search));
+    }
+
+    const vintages = url.pathname.match(/^\/wines\/([^/]+)\/vintages\/?$/);
+    if (vintages) {
+      const wineId = decodeURIComponent(vintages[1]);
+      const filters = { is_primeurs: parseBoolean(query.is_primeurs) ?? false };
+      const rows = await coalesce(`vintages/${wineId}?${JSON.stringify(filters)}`, () =>
+        fetchAll((f) => getScoresByWineId(wineId, f), filters, maxScan));
+      if (rows.length === 0) throw new HttpError(404, `No scores found for wine ${wineId}`);
+      const results = [...rows].sort((a, b) => String(a.vintage).localeCompare(String(b.vintage)));
+      return { wine_id: wineId, wine: results[0].wine, summary: summarize(results), count: results.length, results };
+    }
+
+    if (url.pathname === '/stats') {
+      const groupBy = query.group_by || 'appellation';
+      if (!GROUP_FIELDS.includes(groupBy)) {
+        throw new HttpError(400, `group_by must be one of: ${GROUP_FIELDS.join(', ')}`);
+      }
+      const filters = scoreFilters(query);
+      const rows = await coalesce(`stats?${JSON.stringify(filters)}`, () =>
+        fetchAll(getLatestScores, { ...filters, ordering: '-score' }, maxScan));
+      const results = summarizeBy(rows, (row) => row[groupBy]);
+      return {
+        filters,
+        group_by: groupBy,
+        scanned: rows.length,
+        overall: summarize(rows),
+        histogram: histogram(rows, parseNumber(query.bin, 'bin') || 1),
+        count: results.length,
+        results
+      };
+    }
+
+    throw new HttpError(404, 'Not found.');
+  }
+
+  return http.createServer(async (req, res) => {
+    const origin = `http://${req.headers.host || 'localhost'}`;
+    const url = new URL(req.url, origin);
+    const headers = options.cors ? {
+      'Access-Control-Allow-Origin': options.cors,
+      'Access-Control-Allow-Headers': 'Authorization, X-API-Key, Content-Type',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS'
+    } : {};
+    const respond = (status, body) => {
+      log(`${req.method} ${url.pathname}${url.search} -> ${status}`);
+      send(res, status, body, headers);
+    };
+
+    if (req.method === 'OPTIONS' && options.cors) {
+      respond(204);
+      return;
+    }
+    if (req.method !== 'GET') {
+      respond(405, { detail: `Method "${req.method}" not allowed.` });
+      return;
+    }
+    if (url.pathname !== '/health' && !authorized(req, url)) {
+      respond(401, { detail: 'Invalid API key.' });
+      return;
+    }
+
+    try {
+      respond(200, await route(url, origin));
+    } catch (error) {
+      respond(errorStatus(error), { detail: error.message });
+    }
+  });
+}
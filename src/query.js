@@ -0,0 +1,322 @@
+import { normalizeText } from './search.js';
+import { compareConfidence, summarizeBy } from './stats.js';
+
+// ============================================================
+// Client-side queries
+//
+// --where expressions, multi-key --sort and --group-by over score rows.
+//
+//   expr       := or
+//   or         := and ("or" and)*
+//   and        := not ("and" not)*
+//   not        := "not" not | "(" expr ")" | comparison
+//   comparison := field op value
+//              |  field ["not"] "in" "(" value ("," value)* ")"
+//              |  field ["not"] "between" value "and" value
+//   op         := = == != < <= > >= ~ !~
+//
+// Values are numbers, quoted strings or bare words (A+, red, Pauillac).
+// `~` is an accent- and case-insensitive "contains". Comparisons on
+// confidence order by strength, so `confidence >= A` means A or A+.
+// ============================================================
+
+// Friendly names for API fields
+const ALIASES = {
+  confidence: 'confidence_index',
+  name: 'wine',
+  wine_name: 'wine',
+  primeurs: 'is_primeurs',
+  region: 'regions'
+};
+
+const KEYWORDS = ['and', 'or', 'not', 'in', 'between'];
+const OPERATORS = ['>=', '<=', '!=', '==', '!~', '=', '<', '>', '~'];
+
+/**
+ * The API field a query field refers to
+ */
+export function resolveField(field) {
+  return ALIASES[field] || field;
+}
+
+function fieldValue(row, field) {
+  // Rows shaped by formatWineResult carry wine_name rather than wine
+  if (field === 'wine') return row.wine ?? row.wine_name;
+  return row[field];
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < text.length) {
+    const char = text[pos];
+    if (/\s/.test(char)) {
+      pos++;
+      continue;
+    }
+
+    const start = pos;
+    if ('(),'.includes(char)) {
+      tokens.push({ type: char, text: char, pos: start });
+      pos++;
+      continue;
+    }
+
+    const op = OPERATORS.find(candidate => text.startsWith(candidate, pos));
+    if (op) {
+      tokens.push({ type: 'op', text: op, pos: start });
+      pos += op.length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      pos++;
+      while (pos < text.length && text[pos] !== char) {
+        if (text[pos] === '\\' && pos + 1 < text.length) pos++;
+        value += text[pos++];
+      }
+      if (pos >= text.length) throw new Error(`Unterminated string starting at column ${start + 1}`);
+      pos++;
+      tokens.push({ type: 'value', text: value, quoted: true, pos: start });
+      continue;
+    }
+
+    const word = text.slice(pos).match(/^[^\s(),=<>!~"']+/)?.[0];
+    if (!word) throw new Error(`Unexpected "${char}" at column ${start + 1}`);
+    pos += word.length;
+    const keyword = word.toLowerCase();
+    tokens.push(KEYWORDS.includes(keyword)
+      ? { type: keyword, text: word, pos: start }
+      : { type: 'value', text: word, pos: start });
+  }
+
+  return tokens;
+}
+
+function isNumeric(value) {
+  return typeof value === 'number' || (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim()));
+}
+
+/**
+ * Order two values: numerically when both are numbers, confidence
+ * indexes by strength (stronger is greater), otherwise as text
+ */
+function compareValues(a, b, field) {
+  if (field === 'confidence_index') return compareConfidence(b, a);
+  if (isNumeric(a) && isNumeric(b)) return Number(a) - Number(b);
+  return String(a).toLowerCase().localeCompare(String(b).toLowerCase());
+}
+
+function test(op, actual, expected, field) {
+  switch (op) {
+    case '=':
+    case '==':
+      return String(actual).toLowerCase() === String(expected).toLowerCase() ||
+        (isNumeric(actual) && isNumeric(expected) && Number(actual) === Number(expected));
+    case '!=':
+      return !test('=', actual, expected, field);
+    case '<': return compareValues(actual, expected, field) < 0;
+    case '<=': return compareValues(actual, expected, field) <= 0;
+    case '>': return compareValues(actual, expected, field) > 0;
+    case '>=': return compareValues(actual, expected, field) >= 0;
+    case '~': return normalizeText(actual).includes(normalizeText(expected));
+    case '!~': return !normalizeText(actual).includes(normalizeText(expected));
+  }
+  return false;
+}
+
+// Negative operators hold when no element matches; the rest when any does
+function testField(op, value, expected, field) {
+  if (op === '!=' || op === '!~') {
+    const positive = op === '!=' ? '=' : '~';
+    return !testField(positive, value, expected, field);
+  }
+  if (value === undefined || value === null || value === '') return false;
+  if (Array.isArray(value)) return value.some(item => test(op, item, expected, field));
+  return test(op, value, expected, field);
+}
+
+function parse(text) {
+  const tokens = tokenize(text);
+  const fields = new Set();
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const describe = (token) => token ? `"${token.text}" at column ${token.pos + 1}` : 'end of expression';
+  const fail = (expected) => {
+    throw new Error(`Expected ${expected}, found ${describe(peek())}`);
+  };
+  const expect = (type, expected) => {
+    if (peek()?.type !== type) fail(expected);
+    return tokens[index++];
+  };
+
+  function value() {
+    return expect('value', 'a value').text;
+  }
+
+  function comparison() {
+    const fieldToken = expect('value', 'a field name');
+    if (fieldToken.quoted) {
+      index--;
+      fail('a field name');
+    }
+    const field = resolveField(fieldToken.text);
+    fields.add(fieldToken.text);
+
+    let negated = false;
+    if (peek()?.type === 'not') {
+      negated = true;
+      index++;
+      if (!['in', 'between'].includes(peek()?.type)) fail('"in" or "between" after "not"');
+    }
+
+    if (peek()?.type === 'in') {
+      index++;
+      expect('(', '"(" after "in"');
+      const values = [value()];
+      while (peek()?.type === ',') {
+        index++;
+        values.push(value());
+      }
+      expect(')', '"," or ")"');
+      return (row) => values.some(v => testField('=', fieldValue(row, field), v, field)) !== negated;
+    }
+
+    if (peek()?.type === 'between') {
+      index++;
+      const low = value();
+      expect('and', '"and" in "between ... and ..."');
+      const high = value();
+      return (row) => {
+        const current = fieldValue(row, field);
+        return (testField('>=', current, low, field) && testField('<=', current, high, field)) !== negated;
+      };
+    }
+
+    const op = expect('op', `an operator (${OPERATORS.join(' ')}, in, between) after "${fieldToken.text}"`).text;
+    const expected = value();
+    return (row) => testField(op, fieldValue(row, field), expected, field);
+  }
+
+  function not() {
+    if (peek()?.type === 'not') {
+      index++;
+      const inner = not();
+      return (row) => !inner(row);
+    }
+    if (peek()?.type === '(') {
+      index++;
+      const inner = or();
+      expect(')', '")"');
+      return inner;
+    }
+    return comparison();
+  }
+
+  function and() {
+    const terms = [not()];
+    while (peek()?.type === 'and') {
+      index++;
+      terms.push(not());
+    }
+    return terms.length === 1 ? terms[0] : (row) => terms.every(term => term(row));
+  }
+
+  function or() {
+    const terms = [and()];
+    while (peek()?.type === 'or') {
+      index++;
+      terms.push(and());
+    }
+    return terms.length === 1 ? terms[0] : (row) => terms.some(term => term(row));
+  }
+
+  if (tokens.length === 0) throw new Error('Empty expression');
+  const predicate = or();
+  if (index < tokens.length) fail('"and", "or" or the end of the expression');
+  return { predicate, fields: [...fields] };
+}
+
+/**
+ * Compile a --where expression into a row predicate
+ * @param {string} expression - e.g. 'score >= 92 and appellation ~ "pauillac"'
+ * @returns {Function} row -> boolean, with a `fields` property listing the
+ *   field names the expression uses
+ * @throws {Error} On a syntax error, naming the column where it occurred
+ */
+export function compileWhere(expression) {
+  const { predicate, fields } = parse(String(expression));
+  return Object.assign((row) => predicate(row), { fields });
+}
+
+/**
+ * Throw if a field name appears in none of the sample rows; a typo would
+ * otherwise silently match nothing
+ * @param {string[]} fields - Field names as the user wrote them
+ * @param {Object[]} rows - Sample rows, e.g. the first page
+ */
+export function checkFields(fields, rows) {
+  if (rows.length === 0) return;
+  const known = new Set(rows.flatMap(row => Object.keys(row)));
+  if (known.has('wine_name')) known.add('wine');
+  const unknown = fields.filter(field => !known.has(resolveField(field)));
+  if (unknown.length > 0) {
+    const available = [...known, ...Object.keys(ALIASES)].sort();
+    throw new Error(`Unknown field${unknown.length > 1 ? 's' : ''} ${unknown.map(f => `"${f}"`).join(', ')}. Available: ${available.join(', ')}`);
+  }
+}
+
+/**
+ * Parse a sort specification into a comparator
+ * @param {string} spec - Comma-separated keys, each "field", "-field",
+ *   "field:asc" or "field:desc", e.g. "-score,vintage" or "appellation,score:desc"
+ * @returns {Function} Comparator for Array.prototype.sort; rows missing a
+ *   key sort last
+ */
+export function compileSort(spec) {
+  const keys = String(spec).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const match = part.match(/^(-)?([^:]+?)(?::(asc|desc))?$/i);
+    if (!match) throw new Error(`bad key "${part}" (use field, -field, field:asc or field:desc)`);
+    const descending = !!match[1] !== (match[3]?.toLowerCase() === 'desc');
+    return { name: match[2].trim(), field: resolveField(match[2].trim()), descending };
+  });
+  if (keys.length === 0) throw new Error('Empty sort specification');
+
+  // Grouped rows keep the field names as written, so fall back to those
+  return (a, b) => {
+    for (const { name, field, descending } of keys) {
+      const left = fieldValue(a, field) ?? a[name];
+      const right = fieldValue(b, field) ?? b[name];
+      const missing = (value) => value === undefined || value === null || value === '';
+      if (missing(left) || missing(right)) {
+        if (missing(left) !== missing(right)) return missing(left) ? 1 : -1;
+        continue;
+      }
+      const order = compareValues(left, right, field);
+      if (order !== 0) return descending ? -order : order;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Confidence-weighted statistics per distinct combination of fields
+ * @param {Object[]} rows - Score rows
+ * @param {string[]} fields - Fields to group by
+ * @returns {Object[]} [{ <field>: value, ..., count, mean, median, min, max, stddev }]
+ */
+export function groupRows(rows, fields) {
+  const resolved = fields.map(resolveField);
+  const keyOf = (row) => JSON.stringify(resolved.map(field => {
+    const value = fieldValue(row, field);
+    return Array.isArray(value) ? value.join(', ') : value ?? null;
+  }));
+
+  return summarizeBy(rows, keyOf).map(({ group, ...stats }) => {
+    const values = JSON.parse(group);
+    return { ...Object.fromEntries(fields.map((field, i) => [field, values[i]])), ...stats };
+  });
+}
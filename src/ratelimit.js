@@ -0,0 +1,56 @@
+/**
+ * Token-bucket rate limiter. The bucket starts full and refills continuously
+ * at `requestsPerMinute`; callers that find it empty reserve the next token
+ * and wait for it, so concurrent requests queue up instead of bursting.
+ * @param {Object} options
+ * @param {number} options.requestsPerMinute - Sustained request rate
+ * @param {number} options.burst - Bucket capacity (default: requestsPerMinute)
+ */
+export function createRateLimiter({ requestsPerMinute, burst } = {}) {
+  const capacity = burst || requestsPerMinute;
+  const ratePerMs = requestsPerMinute / 60000;
+  let tokens = capacity;
+  let updatedAt = Date.now();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + (now - updatedAt) * ratePerMs);
+    updatedAt = now;
+  }
+
+  return {
+    /**
+     * Take one token, waiting if the bucket is empty
+     * @returns {Promise<number>} Milliseconds spent waiting
+     */
+    async take() {
+      refill();
+      tokens -= 1;
+      if (tokens >= 0) return 0;
+      const wait = Math.ceil(-tokens / ratePerMs);
+      await sleep(wait);
+      return wait;
+    }
+  };
+}
+
+/**
+ * Delay before retry number `attempt` (0-based): the server's Retry-After
+ * when it sent one, otherwise exponential backoff with jitter
+ * @param {number} attempt - Retry number, starting at 0
+ * @param {string} retryAfter - Retry-After header value (seconds or HTTP date)
+ */
+export function backoffDelay(attempt, retryAfter) {
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+  const base = Math.min(1000 * 2 ** attempt, 60000);
+  return base + Math.floor(Math.random() * base * 0.25);
+}
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
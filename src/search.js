@@ -0,0 +1,83 @@
+/**
+ * Normalize text for matching: strip accents, lowercase, and collapse
+ * punctuation to single spaces ("Château  Margaux!" -> "chateau margaux")
+ */
+export function normalizeText(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function tokenize(text) {
+  const normalized = normalizeText(text);
+  return normalized ? normalized.split(' ') : [];
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * How well one query token matches one field token, from 0 to 1
+ */
+function tokenSimilarity(query, token) {
+  if (query === token) return 1;
+  if (token.startsWith(query)) return 0.9;
+  if (token.includes(query)) return 0.75;
+  const longest = Math.max(query.length, token.length);
+  const ratio = 1 - levenshtein(query, token) / longest;
+  // Tolerate typos ("margeaux"), but not unrelated short words
+  return ratio >= 0.7 && longest >= 4 ? ratio * 0.8 : 0;
+}
+
+// Field weights: a hit on the wine name outranks one on its appellation or region
+const FIELDS = [
+  { weight: 1, get: (wine) => wine.wine_name || wine.wine },
+  { weight: 0.85, get: (wine) => wine.appellation },
+  { weight: 0.7, get: (wine) => [].concat(wine.region ?? wine.regions ?? []).join(' ') },
+  { weight: 0.7, get: (wine) => wine.country }
+];
+
+/**
+ * Score how well a wine matches a free-text query, from 0 (no match) to 1.
+ * Every query token must match somewhere; the result is the mean of each
+ * token's best weighted match across name, appellation and region.
+ * @param {string} query - Free text, e.g. "chateau margaux"
+ * @param {Object} wine - Raw score result from the API
+ */
+export function matchScore(query, wine) {
+  const queryTokens = tokenize(query);
+  if (queryTokens.length === 0) return 0;
+
+  const fields = FIELDS.map(field => ({ weight: field.weight, tokens: tokenize(field.get(wine)) }));
+  let total = 0;
+
+  for (const queryToken of queryTokens) {
+    let best = 0;
+    for (const field of fields) {
+      for (const token of field.tokens) {
+        best = Math.max(best, tokenSimilarity(queryToken, token) * field.weight);
+      }
+    }
+    if (best === 0) return 0;
+    total += best;
+  }
+
+  return total / queryTokens.length;
+}
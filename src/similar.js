@@ -0,0 +1,157 @@
+import { normalizeText } from './search.js';
+import { compareConfidence } from './stats.js';
+
+// ============================================================
+// Similar wines
+//
+// Alternatives to a reference bottle: the same color from the same or a
+// neighbouring appellation, a nearby vintage, a score within a band of the
+// reference's, and a confidence index at least as strong. Candidates are
+// ranked by a similarity score from 0 to 100 that weighs how close the
+// score, the place and the vintage are.
+// ============================================================
+
+export const DEFAULT_SCORE_BAND = 2;
+export const DEFAULT_VINTAGE_WINDOW = 2;
+
+// Appellations that border each other or share a terroir, by normalized name
+const NEIGHBOURS = [
+  ['pauillac', 'saint julien', 'saint estephe'],
+  ['margaux', 'saint julien', 'moulis', 'listrac medoc', 'haut medoc'],
+  ['saint estephe', 'pauillac', 'haut medoc'],
+  ['pessac leognan', 'graves'],
+  ['saint emilion', 'saint emilion grand cru', 'pomerol', 'lalande de pomerol'],
+  ['sauternes', 'barsac'],
+  ['gevrey chambertin', 'morey saint denis', 'chambolle musigny'],
+  ['vosne romanee', 'la tache', 'romanee conti', 'richebourg', 'la romanee', 'romanee saint vivant', 'echezeaux', 'grands echezeaux', 'nuits saint georges'],
+  ['puligny montrachet', 'chassagne montrachet', 'meursault', 'montrachet', 'batard montrachet', 'chevalier montrachet'],
+  ['hermitage', 'crozes hermitage', 'cornas', 'saint joseph'],
+  ['cote rotie', 'condrieu'],
+  ['barolo', 'barbaresco'],
+  ['brunello di montalcino', 'rosso di montalcino'],
+  ['bolgheri', 'bolgheri sassicaia', 'bolgheri superiore'],
+  ['bandol', 'cotes de provence'],
+  ['mosel', 'saar', 'ruwer']
+];
+
+// How much each kind of closeness counts towards the similarity score
+const WEIGHTS = { score: 0.5, place: 0.25, vintage: 0.25 };
+
+// Place closeness of each kind of appellation match
+const PLACE_MATCH = { appellation: 1, neighbour: 0.6, region: 0.3 };
+
+function neighboursOf(appellation) {
+  const name = normalizeText(appellation);
+  const found = new Set();
+  for (const group of NEIGHBOURS) {
+    if (group.includes(name)) group.forEach(other => found.add(other));
+  }
+  found.delete(name);
+  return found;
+}
+
+function regionsOf(row) {
+  const regions = Array.isArray(row.regions) ? row.regions : row.regions ? [row.regions] : [];
+  return regions.map(normalizeText).filter(Boolean);
+}
+
+function hasScore(row) {
+  return row.score !== undefined && row.score !== null && !Number.isNaN(Number(row.score));
+}
+
+function isSameWine(a, b) {
+  if (a.wine_id !== undefined && a.wine_id !== null && String(a.wine_id) === String(b.wine_id)) return true;
+  return !!a.lwin && String(a.lwin) === String(b.lwin);
+}
+
+/**
+ * How a candidate's appellation relates to the reference's
+ * @returns {string|null} appellation, neighbour, region, or null when unrelated
+ */
+function placeMatch(reference, candidate, options) {
+  const appellation = normalizeText(reference.appellation);
+  const other = normalizeText(candidate.appellation);
+  if (appellation && appellation === other) return 'appellation';
+  if (options.scope === 'appellation') return null;
+
+  const neighbours = neighboursOf(reference.appellation);
+  (options.neighbours || []).forEach(name => neighbours.add(normalizeText(name)));
+  if (neighbours.has(other)) return 'neighbour';
+  if (options.scope !== 'region') return null;
+
+  const regions = regionsOf(reference);
+  return regionsOf(candidate).some(region => regions.includes(region)) ? 'region' : null;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Rank alternatives to a reference score row
+ * @param {Object} reference - The score row to match (one wine and vintage)
+ * @param {Object[]} candidates - Score rows of the reference's color
+ * @param {Object} options
+ * @param {number} options.band - Greatest score difference either way (default: 2)
+ * @param {number} options.window - Greatest vintage difference either way (default: 2)
+ * @param {string} options.scope - appellation (same appellation only), neighbours
+ *   (also neighbouring appellations, the default) or region (also any
+ *   appellation of the same region)
+ * @param {string[]} options.neighbours - More appellations to treat as neighbours
+ * @param {boolean} options.perVintage - Keep every matching vintage of a wine
+ *   instead of only its most similar one
+ * @returns {Object[]} Candidate rows with similarity (0-100), score_delta,
+ *   vintage_delta and match (appellation, neighbour or region), most similar first
+ */
+export function findSimilar(reference, candidates, options = {}) {
+  const { band = DEFAULT_SCORE_BAND, window = DEFAULT_VINTAGE_WINDOW, perVintage = false } = options;
+  const score = Number(reference.score);
+  const vintage = parseInt(reference.vintage);
+  const color = String(reference.color || '').toLowerCase();
+
+  const matches = [];
+  for (const candidate of candidates) {
+    if (!hasScore(candidate) || isSameWine(reference, candidate)) continue;
+    if (color && String(candidate.color || '').toLowerCase() !== color) continue;
+    if (compareConfidence(candidate.confidence_index, reference.confidence_index) > 0) continue;
+
+    const scoreDelta = Number(candidate.score) - score;
+    if (Math.abs(scoreDelta) > band) continue;
+
+    // Non-vintage wines only match each other
+    const candidateVintage = parseInt(candidate.vintage);
+    const vintageDelta = Number.isNaN(vintage) || Number.isNaN(candidateVintage)
+      ? (Number.isNaN(vintage) === Number.isNaN(candidateVintage) ? 0 : null)
+      : candidateVintage - vintage;
+    if (vintageDelta === null || Math.abs(vintageDelta) > window) continue;
+
+    const match = placeMatch(reference, candidate, options);
+    if (!match) continue;
+
+    const closeness = {
+      score: band > 0 ? 1 - Math.abs(scoreDelta) / (band + 1) : 1,
+      place: PLACE_MATCH[match],
+      vintage: 1 - Math.abs(vintageDelta) / (window + 1)
+    };
+    const similarity = Object.entries(WEIGHTS).reduce((sum, [key, weight]) => sum + weight * closeness[key], 0);
+
+    matches.push({
+      ...candidate,
+      similarity: round(similarity * 100),
+      score_delta: round(scoreDelta),
+      vintage_delta: vintageDelta,
+      match
+    });
+  }
+
+  matches.sort((a, b) => b.similarity - a.similarity || Number(b.score) - Number(a.score));
+  if (perVintage) return matches;
+
+  const seen = new Set();
+  return matches.filter(row => {
+    const key = row.wine_id ?? row.lwin ?? row.wine;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
@@ -0,0 +1,175 @@
+import { appendFileSync, existsSync, mkdirSync, readdirSync, readFileSync, renameSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { getDataPath } from './config.js';
+
+// Each snapshot is a JSON-lines file: a header line ({ id, name, createdAt,
+// filters }) followed by one line per score row.
+const SNAPSHOT_DIR = getDataPath('snapshots');
+
+// Kinds of change a diff reports, in the order it lists them
+export const CHANGE_KINDS = ['changed', 'appeared', 'disappeared'];
+
+function snapshotPath(id) {
+  return join(SNAPSHOT_DIR, `${id}.jsonl`);
+}
+
+function toSnapshotRow(wine) {
+  return {
+    wine_id: wine.wine_id ?? null,
+    lwin: wine.lwin ?? null,
+    wine_name: wine.wine_name || wine.wine || null,
+    vintage: wine.vintage ?? null,
+    appellation: wine.appellation ?? null,
+    color: wine.color ?? null,
+    is_primeurs: wine.is_primeurs ?? false,
+    score: wine.score ?? null,
+    confidence_index: wine.confidence_index ?? null
+  };
+}
+
+/**
+ * Identity of a score row across snapshots: the same wine and vintage,
+ * with en primeur and bottled scores kept apart
+ */
+function rowKey(row) {
+  return `${row.wine_id ?? row.lwin ?? row.wine_name}|${row.vintage}|${row.is_primeurs ? 'P' : 'B'}`;
+}
+
+/**
+ * Store every page of a query as a snapshot. Rows go to a temporary file
+ * that only becomes the snapshot once the last page has arrived, so a
+ * failed fetch leaves no partial snapshot behind to be diffed against.
+ * @param {AsyncIterable<Object>} pages - Pages of results, e.g. from paginate
+ * @param {Object} options
+ * @param {string} options.name - Label for the snapshot (optional)
+ * @param {Object} options.filters - Query filters the snapshot was taken with
+ * @param {Function} options.onPage - Called with the number of rows stored after each page
+ * @returns {Object} The snapshot's header with its row count: { id, name, createdAt, filters, count }
+ */
+export async function storeSnapshot(pages, { name = null, filters = {}, onPage } = {}) {
+  mkdirSync(SNAPSHOT_DIR, { recursive: true });
+  const createdAt = new Date().toISOString();
+  let id = createdAt.replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  if (existsSync(snapshotPath(id))) id = `${id}-${process.pid}`;
+  const file = snapshotPath(id);
+  const partial = `${file}.tmp`;
+  let count = 0;
+
+  try {
+    writeFileSync(partial, JSON.stringify({ id, name, createdAt, filters }) + '\n');
+    for await (const page of pages) {
+      if (page.results.length === 0) continue;
+      appendFileSync(partial, page.results.map(wine => JSON.stringify(toSnapshotRow(wine))).join('\n') + '\n');
+      count += page.results.length;
+      onPage?.(count);
+    }
+    renameSync(partial, file);
+  } catch (error) {
+    rmSync(partial, { force: true });
+    throw error;
+  }
+
+  return { id, name, createdAt, filters, count };
+}
+
+function readSnapshotFile(file) {
+  const [header, ...rows] = readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  return { ...header, rows };
+}
+
+/**
+ * List stored snapshots, oldest first (headers and row counts only)
+ */
+export function listSnapshots() {
+  if (!existsSync(SNAPSHOT_DIR)) return [];
+  return readdirSync(SNAPSHOT_DIR)
+    .filter(name => name.endsWith('.jsonl'))
+    .map(name => {
+      const { rows, ...header } = readSnapshotFile(join(SNAPSHOT_DIR, name));
+      return { ...header, file: name, count: rows.length };
+    })
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function resolveSnapshot(ref) {
+  const snapshots = listSnapshots();
+  const found = snapshots.find(s => s.id === ref) ||
+    [...snapshots].reverse().find(s => s.name === ref) ||
+    (ref === 'latest' ? snapshots[snapshots.length - 1] : null) ||
+    (ref === 'previous' ? snapshots[snapshots.length - 2] : null);
+
+  if (!found) {
+    throw new Error(`Snapshot "${ref}" not found. Run: globalwinescore snapshot list`);
+  }
+  return found;
+}
+
+/**
+ * Load a snapshot with its rows
+ * @param {string} ref - Snapshot ID, name (most recent with that name), 'latest' or 'previous'
+ */
+export function loadSnapshot(ref) {
+  return readSnapshotFile(join(SNAPSHOT_DIR, resolveSnapshot(ref).file));
+}
+
+/**
+ * Delete a snapshot
+ * @param {string} ref - Snapshot ID or name
+ * @returns {Object} The deleted snapshot's header
+ */
+export function deleteSnapshot(ref) {
+  const snapshot = resolveSnapshot(ref);
+  rmSync(join(SNAPSHOT_DIR, snapshot.file));
+  return snapshot;
+}
+
+/**
+ * Compare two snapshots
+ * @param {Object} from - Older snapshot (from loadSnapshot)
+ * @param {Object} to - Newer snapshot
+ * @param {Object} options
+ * @param {number} options.minChange - Ignore score moves smaller than this (default: 0)
+ * @returns {Object[]} Rows with change ('changed', 'appeared', 'disappeared'),
+ *   old/new score and confidence, and the score delta
+ */
+export function diffSnapshots(from, to, options = {}) {
+  const minChange = options.minChange || 0;
+  const before = new Map(from.rows.map(row => [rowKey(row), row]));
+  const after = new Map(to.rows.map(row => [rowKey(row), row]));
+  const changes = [];
+
+  const entry = (change, row, oldRow, newRow) => ({
+    change,
+    wine_id: row.wine_id,
+    lwin: row.lwin,
+    wine_name: row.wine_name,
+    vintage: row.vintage,
+    appellation: row.appellation,
+    is_primeurs: row.is_primeurs,
+    old_score: oldRow?.score ?? null,
+    new_score: newRow?.score ?? null,
+    delta: oldRow && newRow && oldRow.score !== null && newRow.score !== null
+      ? Math.round((newRow.score - oldRow.score) * 100) / 100
+      : null,
+    old_confidence: oldRow?.confidence_index ?? null,
+    new_confidence: newRow?.confidence_index ?? null
+  });
+
+  for (const [key, newRow] of after) {
+    const oldRow = before.get(key);
+    if (!oldRow) {
+      changes.push(entry('appeared', newRow, null, newRow));
+      continue;
+    }
+    const scoreMoved = oldRow.score !== newRow.score && Math.abs((newRow.score ?? 0) - (oldRow.score ?? 0)) >= minChange;
+    if (scoreMoved || oldRow.confidence_index !== newRow.confidence_index) {
+      changes.push(entry('changed', newRow, oldRow, newRow));
+    }
+  }
+
+  for (const [key, oldRow] of before) {
+    if (!after.has(key)) changes.push(entry('disappeared', oldRow, oldRow, null));
+  }
+
+  return changes.sort((a, b) => CHANGE_KINDS.indexOf(a.change) - CHANGE_KINDS.indexOf(b.change) || Math.abs(b.delta ?? 0) - Math.abs(a.delta ?? 0));
+}
@@ -0,0 +1,113 @@
+// Weight given to a score by its confidence index: A+ scores (many critics,
+// close agreement) count fully, C scores count half.
+const CONFIDENCE_WEIGHTS = {
+  'A+': 1,
+  'A': 0.9,
+  'B+': 0.8,
+  'B': 0.7,
+  'C+': 0.6,
+  'C': 0.5
+};
+
+const UNKNOWN_CONFIDENCE_WEIGHT = 0.5;
+
+export const CONFIDENCE_ORDER = Object.keys(CONFIDENCE_WEIGHTS);
+
+export function confidenceWeight(confidenceIndex) {
+  return CONFIDENCE_WEIGHTS[confidenceIndex] ?? UNKNOWN_CONFIDENCE_WEIGHT;
+}
+
+/**
+ * Compare confidence indexes: negative when `a` is stronger than `b`.
+ * Unknown values sort last.
+ */
+export function compareConfidence(a, b) {
+  const rank = (ci) => CONFIDENCE_ORDER.includes(ci) ? CONFIDENCE_ORDER.indexOf(ci) : CONFIDENCE_ORDER.length;
+  return rank(a) - rank(b);
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Confidence-weighted summary statistics of score rows. Rows without a
+ * numeric score are ignored.
+ * @param {Object[]} rows - Score results
+ * @returns {Object} { count, mean, median, min, max, stddev } (null when empty)
+ */
+export function summarize(rows) {
+  const points = rows
+    .map(row => ({ score: Number(row.score), weight: confidenceWeight(row.confidence_index) }))
+    .filter(point => !Number.isNaN(point.score) && point.score > 0)
+    .sort((a, b) => a.score - b.score);
+
+  if (points.length === 0) {
+    return { count: 0, mean: null, median: null, min: null, max: null, stddev: null };
+  }
+
+  const totalWeight = points.reduce((sum, p) => sum + p.weight, 0);
+  const mean = points.reduce((sum, p) => sum + p.score * p.weight, 0) / totalWeight;
+  const variance = points.reduce((sum, p) => sum + p.weight * (p.score - mean) ** 2, 0) / totalWeight;
+
+  // Weighted median: the first score at which half the total weight is reached
+  let cumulative = 0;
+  let median = points[points.length - 1].score;
+  for (const p of points) {
+    cumulative += p.weight;
+    if (cumulative >= totalWeight / 2) {
+      median = p.score;
+      break;
+    }
+  }
+
+  return {
+    count: points.length,
+    mean: round(mean),
+    median: round(median),
+    min: round(points[0].score),
+    max: round(points[points.length - 1].score),
+    stddev: round(Math.sqrt(variance))
+  };
+}
+
+/**
+ * Summarize rows per group, largest groups first
+ * @param {Object[]} rows - Score results
+ * @param {Function} keyOf - Row -> group name
+ * @returns {Object[]} [{ group, count, mean, median, min, max, stddev }]
+ */
+export function summarizeBy(rows, keyOf) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyOf(row) ?? 'N/A';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return [...groups.entries()]
+    .map(([group, groupRows]) => ({ group, ...summarize(groupRows) }))
+    .filter(summary => summary.count > 0)
+    .sort((a, b) => b.count - a.count || b.mean - a.mean);
+}
+
+/**
+ * Count scores into fixed-width bins
+ * @param {Object[]} rows - Score results
+ * @param {number} binSize - Points per bin (default: 1)
+ * @returns {Object[]} [{ from, to, count }] covering min to max score
+ */
+export function histogram(rows, binSize = 1) {
+  const scores = rows.map(row => Number(row.score)).filter(score => !Number.isNaN(score) && score > 0);
+  if (scores.length === 0) return [];
+
+  const start = Math.floor(Math.min(...scores) / binSize) * binSize;
+  const end = Math.floor(Math.max(...scores) / binSize) * binSize;
+  const bins = [];
+  for (let from = start; from <= end; from += binSize) {
+    bins.push({ from: round(from), to: round(from + binSize), count: 0 });
+  }
+  scores.forEach(score => {
+    bins[Math.min(bins.length - 1, Math.floor((score - start) / binSize))].count++;
+  });
+  return bins;
+}
@@ -0,0 +1,349 @@
+import chalk from 'chalk';
+import { emitKeypressEvents } from 'readline';
+import { getLatestScores, paginate } from './api.js';
+import { createFormatter } from './formatters.js';
+
+// ============================================================
+// Interactive browser
+//
+// A full-screen terminal UI over the latest scores endpoint. Filters the API
+// understands (color, a single vintage, primeurs) are sent with the query;
+// vintage ranges and minimum score are applied to each page as it arrives.
+// Pages are fetched lazily as the selection nears the end of what is loaded.
+// ============================================================
+
+const PAGE_SIZE = 100;
+
+const COLORS = [null, 'red', 'white', 'pink'];
+const PRIMEURS = ['any', 'no', 'yes'];
+const SORT_KEYS = ['score', 'vintage', 'wine', 'date'];
+
+const FILTER_FIELDS = [
+  { key: 'color', label: 'Color' },
+  { key: 'from', label: 'Vintage from' },
+  { key: 'to', label: 'to' },
+  { key: 'primeurs', label: 'Primeurs' },
+  { key: 'minScore', label: 'Min score' }
+];
+
+const HELP = {
+  results: '↑↓ PgUp PgDn move · Enter details · s sort · r reverse · Tab filters · R reload · q quit',
+  filters: '←→ field · ↑↓ or digits change · Backspace clear · Enter apply · Tab results · q quit'
+};
+
+function filterValue(filters, key) {
+  const value = filters[key];
+  if (key === 'color') return value || 'all';
+  if (key === 'primeurs') return value;
+  return value ?? 'any';
+}
+
+function stepFilter(filters, key, direction) {
+  const cycle = (values, value) => values[(values.indexOf(value) + direction + values.length) % values.length];
+  if (key === 'color') return cycle(COLORS, filters.color);
+  if (key === 'primeurs') return cycle(PRIMEURS, filters.primeurs);
+  if (key === 'minScore') {
+    return filters.minScore === null ? 90 : Math.min(Math.max(filters.minScore + direction, 50), 100);
+  }
+  const year = new Date().getFullYear();
+  return filters[key] === null ? year : Math.min(filters[key] + direction, year);
+}
+
+function typeDigit(filters, key, digit) {
+  if (key === 'from' || key === 'to') {
+    return Number(`${filters[key] ?? ''}${digit}`.slice(-4));
+  }
+  if (key === 'minScore') {
+    return Math.min(Number(`${filters.minScore ?? ''}${digit}`.slice(-3)), 100);
+  }
+  return filters[key];
+}
+
+function apiFilters(filters, sort) {
+  const params = {
+    limit: PAGE_SIZE,
+    ordering: `${sort.descending ? '-' : ''}${sort.key}${sort.key === 'score' ? '' : ',-score'}`
+  };
+  if (filters.color) params.color = filters.color;
+  if (filters.from && filters.from === filters.to) params.vintage = filters.from;
+  if (filters.primeurs !== 'any') params.is_primeurs = filters.primeurs === 'yes';
+  return params;
+}
+
+function matches(filters, wine) {
+  const vintage = Number(wine.vintage);
+  if (filters.from && !(vintage >= filters.from)) return false;
+  if (filters.to && !(vintage <= filters.to)) return false;
+  if (filters.minScore && !(Number(wine.score) >= filters.minScore)) return false;
+  return true;
+}
+
+function displayValue(value) {
+  if (Array.isArray(value)) return value.join(', ');
+  if (value === null || value === undefined) return '';
+  return String(value);
+}
+
+/**
+ * Run the interactive browser until the user quits
+ * @param {Object} options
+ * @param {Object[]} options.columns - Table columns ({ key, label })
+ * @param {Function} options.toRow - Raw API result -> table row
+ * @param {Object} options.filters - Initial { color, from, to, primeurs, minScore }
+ * @returns {Promise<void>} Resolves once the screen has been restored
+ */
+export function runInteractive({ columns, toRow = (wine) => wine, filters = {} }) {
+  const input = process.stdin;
+  const out = process.stdout;
+
+  const state = {
+    filters: { color: null, from: null, to: null, primeurs: 'no', minScore: null, ...filters },
+    sort: { key: 'score', descending: true },
+    focus: 'results',
+    field: 0,
+    dirty: false,
+    generation: 0,
+    pages: null,
+    rows: [],
+    count: null,
+    scanned: 0,
+    exhausted: false,
+    loading: false,
+    error: null,
+    selected: 0,
+    top: 0,
+    detail: false
+  };
+
+  // The table formatter renders every loaded row so column widths stay put
+  // while scrolling; the visible window is sliced out of its lines.
+  function tableLines() {
+    const lines = [];
+    const table = createFormatter('table', {
+      write: (text) => lines.push(...text.replace(/\n$/, '').split('\n')),
+      columns,
+      color: false
+    });
+    table.begin({});
+    table.rows(state.rows.map(toRow));
+    return lines;
+  }
+
+  function filterLine() {
+    const fields = FILTER_FIELDS.map((field, index) => {
+      const text = `${field.label}: ${filterValue(state.filters, field.key)}`;
+      if (state.focus === 'filters' && index === state.field) return chalk.inverse(` ${text} `);
+      return ` ${text} `;
+    });
+    const sort = `Sort: ${state.sort.key} ${state.sort.descending ? '↓' : '↑'}`;
+    const pending = state.dirty ? chalk.yellow('  (Enter to apply)') : '';
+    return `${chalk.bold(state.focus === 'filters' ? chalk.cyan('Filters') : 'Filters')} ${fields.join('')}  ${chalk.dim(sort)}${pending}`;
+  }
+
+  function detailLines(width) {
+    const wine = state.rows[state.selected];
+    if (!state.detail || !wine) return [];
+    const perRow = width >= 100 ? 2 : 1;
+    const cellWidth = Math.floor(width / perRow);
+    const entries = Object.entries(wine).map(([key, value]) => {
+      const text = `${key.padEnd(18)} ${displayValue(value)}`.slice(0, cellWidth - 2).padEnd(cellWidth);
+      return chalk.cyan(text.slice(0, 18)) + text.slice(18);
+    });
+    const lines = [chalk.dim('─'.repeat(width)), chalk.bold(`Details — ${wine.wine || wine.wine_name || wine.id}`)];
+    for (let i = 0; i < entries.length; i += perRow) {
+      lines.push(entries.slice(i, i + perRow).join('').trimEnd());
+    }
+    return lines;
+  }
+
+  function statusLine() {
+    if (state.error) return chalk.red(`✗ ${state.error}`);
+    const loaded = `${state.rows.length} shown · ${state.scanned}${state.count !== null ? ` of ${state.count}` : ''} fetched`;
+    if (state.loading) return chalk.yellow(`Loading... ${loaded}`);
+    return chalk.dim(`${loaded}${state.exhausted ? ' · end of results' : ''}`);
+  }
+
+  function bodyHeight() {
+    return Math.max((out.rows || 24) - 7 - detailLines(out.columns || 80).length, 3);
+  }
+
+  function render() {
+    const width = out.columns || 80;
+    const lines = [
+      chalk.inverse(' GlobalWineScore · interactive'.padEnd(width)),
+      filterLine(),
+      chalk.dim('─'.repeat(width))
+    ];
+
+    const body = bodyHeight();
+    if (state.selected < state.top) state.top = state.selected;
+    if (state.selected >= state.top + body) state.top = state.selected - body + 1;
+
+    const table = tableLines();
+    if (table.length === 0) {
+      lines.push(state.loading ? chalk.yellow('Loading...') : chalk.yellow('No results found.'), '');
+    } else {
+      lines.push(chalk.bold.cyan(table[0].slice(0, width)), chalk.dim(table[1].slice(0, width)));
+    }
+    for (let i = state.top; i < state.top + body; i++) {
+      const text = table[i + 2];
+      if (text === undefined) {
+        lines.push('');
+      } else if (i === state.selected) {
+        lines.push((state.focus === 'results' ? chalk.inverse : chalk.bold)(text.slice(0, width).padEnd(width)));
+      } else {
+        lines.push(text.slice(0, width));
+      }
+    }
+
+    lines.push(...detailLines(width), statusLine(), chalk.dim(HELP[state.focus]));
+    out.write('\x1b[H' + lines.map(line => line + '\x1b[K').join('\n') + '\x1b[J');
+  }
+
+  async function loadMore() {
+    if (state.loading || state.exhausted) return;
+    const generation = state.generation;
+    const { filters, sort } = state;
+    const want = state.rows.length + bodyHeight();
+    state.loading = true;
+    render();
+
+    try {
+      while (state.rows.length < want) {
+        const { value: page, done } = await state.pages.next();
+        if (generation !== state.generation) return;
+        if (done) {
+          state.exhausted = true;
+          break;
+        }
+        state.count = page.count ?? null;
+        state.scanned += page.results.length;
+        state.rows.push(...page.results.filter(wine => matches(filters, wine)));
+        if (!page.next) {
+          state.exhausted = true;
+          break;
+        }
+
+        // Ordered by score, nothing after a row below the minimum can match
+        const last = page.results[page.results.length - 1];
+        if (filters.minScore && sort.key === 'score' && sort.descending && last && Number(last.score) < filters.minScore) {
+          state.exhausted = true;
+          break;
+        }
+      }
+    } catch (error) {
+      if (generation !== state.generation) return;
+      state.error = error.message;
+      state.exhausted = true;
+    }
+
+    state.loading = false;
+    render();
+  }
+
+  function reload() {
+    state.generation += 1;
+    state.pages = paginate(getLatestScores, apiFilters(state.filters, state.sort));
+    Object.assign(state, { rows: [], count: null, scanned: 0, exhausted: false, loading: false, error: null, selected: 0, top: 0, dirty: false });
+    loadMore();
+  }
+
+  function move(delta) {
+    if (state.rows.length === 0) return;
+    state.selected = Math.min(Math.max(state.selected + delta, 0), state.rows.length - 1);
+    if (state.selected >= state.rows.length - 5) loadMore();
+  }
+
+  function onResultsKey(str, key) {
+    const page = bodyHeight();
+    switch (key.name) {
+      case 'up': move(-1); break;
+      case 'down': move(1); break;
+      case 'pageup': move(-page); break;
+      case 'pagedown': move(page); break;
+      case 'home': move(-state.selected); break;
+      case 'end': move(state.rows.length); break;
+      case 'return':
+      case 'd':
+        state.detail = !state.detail;
+        break;
+      case 'escape':
+        state.detail = false;
+        break;
+      case 's':
+        state.sort = { ...state.sort, key: SORT_KEYS[(SORT_KEYS.indexOf(state.sort.key) + 1) % SORT_KEYS.length] };
+        reload();
+        break;
+      case 'r':
+        // R reloads as-is, r flips the sort direction
+        if (!key.shift) state.sort = { ...state.sort, descending: !state.sort.descending };
+        reload();
+        break;
+    }
+  }
+
+  function onFiltersKey(str, key) {
+    const field = FILTER_FIELDS[state.field].key;
+    const update = (value) => {
+      state.filters = { ...state.filters, [field]: value };
+      state.dirty = true;
+    };
+
+    if (/^[0-9]$/.test(str || '')) {
+      update(typeDigit(state.filters, field, str));
+      return;
+    }
+    switch (key.name) {
+      case 'left': state.field = (state.field + FILTER_FIELDS.length - 1) % FILTER_FIELDS.length; break;
+      case 'right': state.field = (state.field + 1) % FILTER_FIELDS.length; break;
+      case 'up': update(stepFilter(state.filters, field, 1)); break;
+      case 'down': update(stepFilter(state.filters, field, -1)); break;
+      case 'backspace':
+      case 'delete':
+        update(field === 'primeurs' ? 'any' : null);
+        break;
+      case 'return':
+        state.focus = 'results';
+        reload();
+        break;
+      case 'r':
+        if (key.shift) reload();
+        break;
+    }
+  }
+
+  return new Promise((resolve) => {
+    function quit() {
+      state.generation += 1;
+      input.off('keypress', onKeypress);
+      out.off('resize', render);
+      input.setRawMode(false);
+      input.pause();
+      out.write('\x1b[?25h\x1b[?1049l');
+      resolve();
+    }
+
+    function onKeypress(str, key = {}) {
+      if ((key.ctrl && key.name === 'c') || key.name === 'q') {
+        quit();
+        return;
+      }
+      if (key.name === 'tab') {
+        state.focus = state.focus === 'results' ? 'filters' : 'results';
+      } else if (state.focus === 'results') {
+        onResultsKey(str, key);
+      } else {
+        onFiltersKey(str, key);
+      }
+      render();
+    }
+
+    emitKeypressEvents(input);
+    input.setRawMode(true);
+    input.resume();
+    input.on('keypress', onKeypress);
+    out.on('resize', render);
+    out.write('\x1b[?1049h\x1b[?25l');
+    reload();
+  });
+}
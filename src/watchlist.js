@@ -0,0 +1,162 @@
+import axios from 'axios';
+import { getConfig, setConfig } from './config.js';
+import { lookupScores, pickResult } from './enrich.js';
+import { isLwin, parseLwin } from './lwin.js';
+
+function sameEntry(a, b) {
+  return a.type === b.type && a.id === b.id && (a.vintage || '') === (b.vintage || '');
+}
+
+export function getWatchlist() {
+  return getConfig('watchlist');
+}
+
+/**
+ * Add a wine to the watchlist, replacing any entry for the same wine and vintage
+ * @param {Object} entry
+ * @param {string} entry.type - 'wine-id' or 'lwin'
+ * @param {string} entry.id - Wine ID or LWIN
+ * @param {string} entry.vintage - Vintage to follow (default: most recent)
+ * @param {string} entry.label - Display name
+ * @param {number} entry.above - Alert when the score rises to or above this
+ * @param {number} entry.below - Alert when the score falls to or below this
+ * @param {number} entry.change - Alert when the score moves by at least this many points
+ * @returns {boolean} Whether an existing entry was replaced
+ */
+export function addWatch(entry) {
+  const watchlist = getWatchlist();
+  const index = watchlist.findIndex(existing => sameEntry(existing, entry));
+  if (index >= 0) {
+    watchlist[index] = entry;
+  } else {
+    watchlist.push(entry);
+  }
+  setConfig('watchlist', watchlist);
+  return index >= 0;
+}
+
+/**
+ * Remove entries for a wine ID or LWIN (optionally a single vintage). An
+ * LWIN matches however it was spaced or hyphenated when added.
+ * @returns {number} Entries removed
+ */
+export function removeWatch(id, vintage) {
+  const lwin = isLwin(id) ? parseLwin(id).lwin : null;
+  const matches = (entry) => entry.id === id || (entry.type === 'lwin' && entry.id === lwin);
+  const watchlist = getWatchlist();
+  const kept = watchlist.filter(entry => !matches(entry) || (vintage && entry.vintage !== vintage));
+  setConfig('watchlist', kept);
+  return watchlist.length - kept.length;
+}
+
+/**
+ * The current score of an entry: its watched vintage, else the most recent
+ * vintage scored, read from every page newest first
+ */
+async function fetchEntry(entry) {
+  return pickResult(await lookupScores(entry.id, entry.type, entry.vintage), entry.vintage);
+}
+
+/**
+ * Alerts for one entry given its previous and current score. Thresholds
+ * fire when they are crossed (hold now but did not at the last check),
+ * so a wine sitting above its threshold alerts once rather than every run.
+ */
+function entryAlerts(entry, previous, score) {
+  const alerts = [];
+  if (score === null) return alerts;
+
+  const holds = (value, test) => value !== null && value !== undefined && test(value);
+  if (entry.above !== undefined && holds(score, v => v >= entry.above) && !holds(previous, v => v >= entry.above)) {
+    alerts.push(`score ${score} reached ${entry.above}`);
+  }
+  if (entry.below !== undefined && holds(score, v => v <= entry.below) && !holds(previous, v => v <= entry.below)) {
+    alerts.push(`score ${score} fell to ${entry.below} or below`);
+  }
+  if (entry.change !== undefined && holds(previous, v => Math.abs(score - v) >= entry.change)) {
+    alerts.push(`score moved ${score > previous ? '+' : ''}${Math.round((score - previous) * 100) / 100} (from ${previous})`);
+  }
+  return alerts;
+}
+
+/**
+ * Re-query every watchlist entry and compare with the last check. Nothing
+ * is stored: pass the results to recordCheck once the alerts are delivered,
+ * so an alert that could not be sent fires again on the next check.
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with (done, total) after each entry
+ * @returns {Object[]} One result per entry: { entry, wine, score, previous, alerts, error }
+ *   - error is set, and alerts empty, when the entry could not be looked up
+ */
+export async function checkWatchlist(options = {}) {
+  const { onProgress = () => {} } = options;
+  const watchlist = getWatchlist();
+  const results = [];
+
+  for (const [index, entry] of watchlist.entries()) {
+    // A failing entry is reported with its result rather than dropping the
+    // alerts of the entries checked before it
+    let wine = null;
+    let error = null;
+    try {
+      wine = await fetchEntry(entry);
+    } catch (caught) {
+      error = caught;
+    }
+    const score = wine && wine.score !== undefined && wine.score !== null ? Number(wine.score) : null;
+    const previous = entry.lastScore ?? null;
+
+    results.push({ entry, wine, score, previous, alerts: error ? [] : entryAlerts(entry, previous, score), error });
+    onProgress(index + 1, watchlist.length);
+  }
+
+  return results;
+}
+
+/**
+ * Store the scores of a check as each entry's last score. Entries that
+ * could not be looked up keep their previous score.
+ * @param {Object[]} results - Results from checkWatchlist
+ */
+export function recordCheck(results) {
+  const checkedAt = new Date().toISOString();
+  const watchlist = getWatchlist().map(entry => {
+    const result = results.find(({ entry: checked }) => sameEntry(checked, entry));
+    if (!result || result.error) return entry;
+    return {
+      ...entry,
+      lastScore: result.score,
+      lastConfidence: result.wine?.confidence_index ?? null,
+      lastCheckedAt: checkedAt
+    };
+  });
+  setConfig('watchlist', watchlist);
+}
+
+/**
+ * POST triggered alerts to a webhook as JSON
+ * @param {string} url - Webhook URL
+ * @param {Object[]} results - Results from checkWatchlist that have alerts
+ */
+export async function sendWebhook(url, results) {
+  const payload = {
+    source: 'globalwinescore',
+    checkedAt: new Date().toISOString(),
+    alerts: results.map(({ entry, wine, score, previous, alerts }) => ({
+      type: entry.type,
+      id: entry.id,
+      vintage: wine?.vintage ?? entry.vintage ?? null,
+      wine_name: entry.label || wine?.wine_name || wine?.wine || null,
+      score,
+      previous_score: previous,
+      confidence_index: wine?.confidence_index ?? null,
+      messages: alerts
+    }))
+  };
+
+  try {
+    await axios.post(url, payload, { headers: { 'Content-Type': 'application/json' }, timeout: 10000 });
+  } catch (error) {
+    throw new Error(`Webhook failed: ${error.response ? `HTTP ${error.response.status}` : error.message}`);
+  }
+}
@@ -0,0 +1,239 @@
+import { deflateRawSync } from 'zlib';
+import { escapeXml } from './html.js';
+
+// ============================================================
+// XLSX writer
+//
+// Just enough of Office Open XML to write styled workbooks without a
+// dependency: a header row in bold on a colored fill, frozen and filtered,
+// set column widths, numeric cells, and conditional fills on chosen
+// columns. Strings are written inline rather than through a shared string
+// table, and the package is zipped by hand (deflate from zlib).
+// ============================================================
+
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PKG_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+// Cell styles (indexes into cellXfs below)
+const STYLE_HEADER = 1;
+const STYLE_DECIMAL = 2;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * A zip archive of the given files, deflated
+ * @param {Object[]} files - [{ name, data }] with data a string or Buffer
+ * @returns {Buffer}
+ */
+function zip(files) {
+  const now = new Date();
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const locals = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8');
+    const compressed = deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, compressed);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4); // version made by
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt16LE(time, 12);
+    entry.writeUInt16LE(date, 14);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(name.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, name);
+
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * Spreadsheet column letters for a 0-based index: 0 -> A, 26 -> AA
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * A valid, unique sheet name: at most 31 characters, none of []:*?/\
+ */
+function sheetName(name, taken) {
+  const base = String(name || 'Sheet').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || 'Sheet';
+  let candidate = base;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+    candidate = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+  }
+  taken.add(candidate.toLowerCase());
+  return candidate;
+}
+
+function cell(ref, value, column, style) {
+  if (value === undefined || value === null || value === '') return '';
+  if (column.type === 'number' && value !== '' && !Number.isNaN(Number(value))) {
+    return `<c r="${ref}"${style ? ` s="${style}"` : ''}><v>${Number(value)}</v></c>`;
+  }
+  const text = Array.isArray(value) ? value.join(', ') : String(value);
+  return `<c r="${ref}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+function worksheetXml(sheet, rules) {
+  const { columns, rows } = sheet;
+  const last = columnName(columns.length - 1);
+  const lastRow = rows.length + 1;
+
+  const header = `<row r="1">${columns.map((col, i) => cell(`${columnName(i)}1`, col.label, {}, STYLE_HEADER)).join('')}</row>`;
+  const body = rows.map((row, r) => {
+    const cells = columns.map((col, i) => cell(`${columnName(i)}${r + 2}`, row[col.key], col, col.decimals ? STYLE_DECIMAL : 0));
+    return `<row r="${r + 2}">${cells.join('')}</row>`;
+  });
+
+  const widths = columns.map((col, i) =>
+    `<col min="${i + 1}" max="${i + 1}" width="${col.width || Math.min(Math.max(col.label.length + 2, 10), 60)}" customWidth="1"/>`);
+
+  let priority = 1;
+  const formatting = columns.flatMap((col, i) => {
+    if (!col.conditional || rows.length === 0) return [];
+    const range = `${columnName(i)}2:${columnName(i)}${lastRow}`;
+    const cfRules = col.conditional.map(({ operator, value, dxf }) =>
+      `<cfRule type="cellIs" dxfId="${rules.indexOf(dxf)}" priority="${priority++}" operator="${operator}" stopIfTrue="1"><formula>${value}</formula></cfRule>`);
+    return [`<conditionalFormatting sqref="${range}">${cfRules.join('')}</conditionalFormatting>`];
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">
+<dimension ref="A1:${last}${lastRow}"/>
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<sheetFormatPr defaultRowHeight="15"/>
+<cols>${widths.join('')}</cols>
+<sheetData>${header}${body.join('')}</sheetData>
+<autoFilter ref="A1:${last}${lastRow}"/>
+${formatting.join('')}
+</worksheet>`;
+}
+
+function stylesXml(rules) {
+  const dxfs = rules.map(({ fill, font }) =>
+    `<dxf><font><color rgb="FF${font}"/></font><fill><patternFill patternType="solid"><bgColor rgb="FF${fill}"/></patternFill></fill></dxf>`);
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="${MAIN_NS}">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><color rgb="FFFFFFFF"/><name val="Calibri"/></font></fonts>
+<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill><fill><patternFill patternType="solid"><fgColor rgb="FF7B1E3A"/><bgColor indexed="64"/></patternFill></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/><xf numFmtId="2" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+<dxfs count="${dxfs.length}">${dxfs.join('')}</dxfs>
+</styleSheet>`;
+}
+
+/**
+ * Build an .xlsx workbook
+ * @param {Object[]} sheets - [{ name, columns, rows }], one worksheet each.
+ *   columns are { key, label, width?, type?: 'number', decimals?: boolean,
+ *   conditional?: [{ operator, value, dxf: { fill, font } }] } where
+ *   operator is a spreadsheet cellIs operator (greaterThanOrEqual,
+ *   lessThan, ...) and fill/font are RGB hex colors. The first matching
+ *   rule wins.
+ * @returns {Buffer} The workbook file
+ */
+export function createWorkbook(sheets) {
+  const taken = new Set();
+  const named = (sheets.length > 0 ? sheets : [{ name: 'Sheet', columns: [{ key: 'empty', label: '' }], rows: [] }])
+    .map(sheet => ({ ...sheet, name: sheetName(sheet.name, taken) }));
+
+  // Every distinct conditional style becomes one differential format (dxf)
+  const rules = [...new Set(named.flatMap(sheet => sheet.columns.flatMap(col => (col.conditional || []).map(rule => rule.dxf))))];
+
+  const definedNames = named.map((sheet, i) =>
+    `<definedName name="_xlnm._FilterDatabase" localSheetId="${i}" hidden="1">'${escapeXml(sheet.name.replace(/'/g, "''"))}'!$A$1:$${columnName(sheet.columns.length - 1)}$${sheet.rows.length + 1}</definedName>`);
+
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${named.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('\n')}
+</Types>`
+    },
+    {
+      name: '_rels/.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${PKG_REL_NS}"><Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">
+<sheets>${named.map((sheet, i) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>
+<definedNames>${definedNames.join('')}</definedNames>
+</workbook>`
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${PKG_REL_NS}">
+${named.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('\n')}
+<Relationship Id="rId${named.length + 1}" Type="${REL_NS}/styles" Target="styles.xml"/>
+</Relationships>`
+    },
+    { name: 'xl/styles.xml', data: stylesXml(rules) },
+    ...named.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: worksheetXml(sheet, rules) }))
+  ];
+
+  return zip(files);
+}
@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, toCsv } from '../src/csv.js';
+
+describe('parseCsv', () => {
+  it('keys each row by the header', () => {
+    assert.deepEqual(parseCsv('lwin,vintage\n1012361,2015\n1014033,2010\n'), [
+      { lwin: '1012361', vintage: '2015' },
+      { lwin: '1014033', vintage: '2010' }
+    ]);
+  });
+
+  it('reads quoted fields with delimiters, doubled quotes and line breaks', () => {
+    const text = 'wine,note\n"Latour, Pauillac","Said ""superb""\nagain"\n';
+    assert.deepEqual(parseCsv(text), [{ wine: 'Latour, Pauillac', note: 'Said "superb"\nagain' }]);
+  });
+
+  it('accepts CRLF line endings, a byte order mark and blank lines', () => {
+    assert.deepEqual(parseCsv('\uFEFFa,b\r\n1,2\r\n\r\n3,4'), [{ a: '1', b: '2' }, { a: '3', b: '4' }]);
+  });
+
+  it('fills missing fields with empty strings', () => {
+    assert.deepEqual(parseCsv('a,b,c\n1'), [{ a: '1', b: '', c: '' }]);
+  });
+
+  it('reads other delimiters', () => {
+    assert.deepEqual(parseCsv('a\tb\n1,5\t2\n', '\t'), [{ a: '1,5', b: '2' }]);
+  });
+
+  it('returns no rows for an empty document', () => {
+    assert.deepEqual(parseCsv(''), []);
+  });
+});
+
+describe('toCsv', () => {
+  it('writes the keys of every row as the header, in first-seen order', () => {
+    assert.equal(toCsv([{ a: 1 }, { b: 2, a: 3 }]), 'a,b\n1,\n3,2\n');
+  });
+
+  it('writes the given columns only', () => {
+    assert.equal(toCsv([{ a: 1, b: 2 }], ['b']), 'b\n2\n');
+  });
+
+  it('quotes fields holding delimiters, quotes or line breaks', () => {
+    assert.equal(toCsv([{ a: 'a,b', b: 'say "hi"', c: 'one\ntwo', d: 'plain' }]), 'a,b,c,d\n"a,b","say ""hi""","one\ntwo",plain\n');
+    assert.equal(toCsv([{ a: 'a,b', b: 'a\tb' }], null, '\t'), 'a\tb\na,b\t"a\tb"\n');
+  });
+
+  it('writes null as empty and objects as JSON', () => {
+    assert.equal(toCsv([{ a: null, b: undefined, c: ['Bordeaux', 'Pauillac'] }]), 'a,b,c\n,,"[""Bordeaux"",""Pauillac""]"\n');
+  });
+
+  it('round-trips through parseCsv', () => {
+    const rows = [
+      { wine: 'Château d\'Yquem', note: 'Sweet, "golden"\r\nlong', score: '99' },
+      { wine: '', note: ',', score: '' }
+    ];
+    assert.deepEqual(parseCsv(toCsv(rows)), rows);
+    assert.deepEqual(parseCsv(toCsv(rows, null, ';'), ';'), rows);
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseVintages, parseColors, expandFilters, fetchMerged } from '../src/fanout.js';
+
+describe('parseVintages', () => {
+  it('expands years, ranges and lists into sorted distinct years', () => {
+    assert.deepEqual(parseVintages(2015), ['2015']);
+    assert.deepEqual(parseVintages('2009..2012'), ['2009', '2010', '2011', '2012']);
+    assert.deepEqual(parseVintages('2015, 2010,2009 .. 2010'), ['2009', '2010', '2015']);
+    assert.deepEqual(parseVintages([2016, '2014..2015']), ['2014', '2015', '2016']);
+  });
+
+  it('rejects reversed ranges and anything that is not a year', () => {
+    assert.throws(() => parseVintages('2016..2009'), /2016 is after 2009/);
+    assert.throws(() => parseVintages('15'), /Invalid vintage "15"/);
+    assert.throws(() => parseVintages('2010-2012'), /Invalid vintage "2010-2012"/);
+    assert.throws(() => parseVintages(' , '), /Invalid vintage/);
+  });
+});
+
+describe('parseColors', () => {
+  it('splits, lower-cases and removes duplicates in the order given', () => {
+    assert.deepEqual(parseColors('White, red,RED'), ['white', 'red']);
+  });
+
+  it('rejects an empty list', () => {
+    assert.throws(() => parseColors(','), /Invalid color/);
+  });
+});
+
+describe('expandFilters', () => {
+  it('returns single-valued filters unchanged', () => {
+    const filters = { vintage: '2015', color: 'red', limit: 10 };
+    assert.deepEqual(expandFilters(filters), [filters]);
+    assert.equal(expandFilters(filters)[0], filters);
+  });
+
+  it('yields one query per vintage and color, without the cursor', () => {
+    const variants = expandFilters({ vintage: '2014..2015', color: 'red,white', ordering: '-score', cursor: '1,2,3,4' });
+    assert.deepEqual(variants, [
+      { vintage: '2014', color: 'red', ordering: '-score' },
+      { vintage: '2014', color: 'white', ordering: '-score' },
+      { vintage: '2015', color: 'red', ordering: '-score' },
+      { vintage: '2015', color: 'white', ordering: '-score' }
+    ]);
+  });
+
+  it('leaves a filter that was not given unset', () => {
+    assert.deepEqual(expandFilters({ color: 'red,white' }), [{ color: 'red' }, { color: 'white' }]);
+  });
+
+  it('caps the number of queries', () => {
+    assert.equal(expandFilters({ vintage: '1966..2015' }).length, 50);
+    assert.throws(() => expandFilters({ vintage: '1990..2015', color: 'red,white' }), /26 vintage\(s\) × 2 color\(s\) = 52 queries \(at most 50\)/);
+  });
+});
+
+describe('fetchMerged', () => {
+  // Scores of two queries, each already in the API's -score order
+  const DATA = {
+    red: [
+      { id: 1, color: 'red', score: 99 },
+      { id: 2, color: 'red', score: 96 },
+      { id: 3, color: 'red', score: 94 },
+      { id: 4, color: 'red', score: 90 }
+    ],
+    white: [
+      { id: 5, color: 'white', score: 98 },
+      { id: 6, color: 'white', score: 91 }
+    ]
+  };
+
+  // Pages of `pageSize` rows at most, whatever limit is asked for
+  function stub(pageSize = 2) {
+    const requests = [];
+    const fetchPage = async (filters) => {
+      requests.push(filters);
+      const rows = DATA[filters.color];
+      const offset = filters.offset || 0;
+      const results = rows.slice(offset, offset + Math.min(filters.limit, pageSize));
+      return {
+        count: rows.length,
+        next: offset + results.length < rows.length ? `https://api.example/?offset=${offset + results.length}` : null,
+        results
+      };
+    };
+    return { fetchPage, requests };
+  }
+
+  const pageUrl = (params) => `https://proxy.example/?${new URLSearchParams(params)}`;
+  const variants = expandFilters({ color: 'red,white' });
+  const paramsOf = (url) => Object.fromEntries(new URL(url).searchParams);
+
+  it('merges the queries in the requested order, summing the counts', async () => {
+    const { fetchPage } = stub();
+    const page = await fetchMerged(variants, { ordering: '-score', limit: 10 }, fetchPage, pageUrl);
+    assert.deepEqual(page.results.map(row => row.id), [1, 5, 2, 3, 6, 4]);
+    assert.equal(page.count, 6);
+    assert.equal(page.next, null);
+    assert.equal(page.previous, null);
+  });
+
+  it('continues every query from the cursor of the next link', async () => {
+    const { fetchPage } = stub();
+    const first = await fetchMerged(variants, { ordering: '-score', limit: 3 }, fetchPage, pageUrl);
+    assert.deepEqual(first.results.map(row => row.id), [1, 5, 2]);
+
+    const params = paramsOf(first.next);
+    assert.equal(params.offset, '3');
+    assert.equal(params.cursor, '2,1');
+
+    const second = await fetchMerged(variants, params, fetchPage, pageUrl);
+    assert.deepEqual(second.results.map(row => row.id), [3, 6, 4]);
+    assert.equal(second.next, null);
+    assert.deepEqual(paramsOf(second.previous), { ordering: '-score', limit: '3', offset: '0' });
+  });
+
+  it('skips to an offset without a cursor by reading every query from its start', async () => {
+    const { fetchPage, requests } = stub();
+    const page = await fetchMerged(variants, { ordering: '-score', limit: 2, offset: 2 }, fetchPage, pageUrl);
+    assert.deepEqual(page.results.map(row => row.id), [2, 3]);
+    assert.ok(requests.filter(filters => filters.offset === 0).length >= 2);
+  });
+
+  it('drops a row two queries both return', async () => {
+    const fetchPage = async (filters) => ({
+      count: 2,
+      next: null,
+      results: [{ id: 9, score: 95 }, { id: filters.color === 'red' ? 1 : 2, score: 90 }]
+    });
+    const page = await fetchMerged(variants, { ordering: '-score' }, fetchPage, pageUrl);
+    assert.deepEqual(page.results.map(row => row.id), [9, 1, 2]);
+  });
+
+  it('concatenates the queries in order without an ordering', async () => {
+    const { fetchPage } = stub();
+    const page = await fetchMerged(variants, { limit: 10 }, fetchPage, pageUrl);
+    assert.deepEqual(page.results.map(row => row.id), [1, 2, 3, 4, 5, 6]);
+  });
+
+  it('ignores a cursor that does not fit the queries', async () => {
+    const { fetchPage } = stub();
+    const page = await fetchMerged(variants, { ordering: '-score', limit: 2, cursor: '1,x' }, fetchPage, pageUrl);
+    assert.deepEqual(page.results.map(row => row.id), [1, 5]);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLwin, isLwin, describeLwin, formatBottleSize } from '../src/lwin.js';
+
+describe('parseLwin', () => {
+  it('reads an LWIN-7 as the wine alone', () => {
+    assert.deepEqual(parseLwin(1012361), {
+      lwin: '1012361',
+      format: 'LWIN-7',
+      lwin7: '1012361',
+      lwin11: null,
+      vintage: null,
+      bottleSize: null,
+      pack: null,
+      filters: { lwin: '1012361' }
+    });
+  });
+
+  it('reads the vintage of an LWIN-11 and queries by it', () => {
+    const parsed = parseLwin('10123612015');
+    assert.equal(parsed.format, 'LWIN-11');
+    assert.equal(parsed.vintage, '2015');
+    assert.deepEqual(parsed.filters, { lwin_11: '10123612015' });
+    assert.equal(parseLwin('10123611000').vintage, 'NV');
+  });
+
+  it('reads the bottle size of an LWIN-16 and the pack of an LWIN-18', () => {
+    const lwin16 = parseLwin('1012361201501500');
+    assert.equal(lwin16.bottleSize, 1500);
+    assert.equal(lwin16.pack, null);
+    assert.deepEqual(lwin16.filters, { lwin_11: '10123612015' });
+
+    const lwin18 = parseLwin(' 1012361-2015-06-00750 ');
+    assert.equal(lwin18.lwin, '101236120150600750');
+    assert.equal(lwin18.pack, 6);
+    assert.equal(lwin18.bottleSize, 750);
+  });
+
+  it('explains what is wrong with an invalid code', () => {
+    assert.throws(() => parseLwin(''), /no identifier given/);
+    assert.throws(() => parseLwin('1012a61'), /only digits are allowed/);
+    assert.throws(() => parseLwin('12345678'), /expected 7, 11, 16 or 18 digits, got 8/);
+    assert.throws(() => parseLwin('0123456'), /do not start with 0/);
+    assert.throws(() => parseLwin('10123611799'), /vintage 1799 is not a year/);
+    assert.throws(() => parseLwin('101236120150000750'), /pack size 00/);
+    assert.throws(() => parseLwin('1012361201500000'), /bottle size 00000/);
+  });
+});
+
+describe('isLwin', () => {
+  it('tells valid codes from the rest', () => {
+    assert.equal(isLwin('1012361 2015'), true);
+    assert.equal(isLwin('123456'), false);
+    assert.equal(isLwin(undefined), false);
+  });
+});
+
+describe('describeLwin', () => {
+  it('lists the parts a code names', () => {
+    assert.equal(describeLwin(parseLwin('1012361')), '1012361');
+    assert.equal(describeLwin(parseLwin('10123612015')), '1012361 · 2015');
+    assert.equal(describeLwin(parseLwin('1012361201501500')), '1012361 · 2015 · 1.5l');
+    assert.equal(describeLwin(parseLwin('101236120150600750')), '1012361 · 2015 · 6 × 75cl');
+  });
+
+  it('labels bottle sizes in centilitres below a litre', () => {
+    assert.equal(formatBottleSize(375), '37.5cl');
+    assert.equal(formatBottleSize(3000), '3l');
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileWhere, compileSort, checkFields, groupRows } from '../src/query.js';
+
+const ROWS = [
+  { wine: 'Château Latour', vintage: '2010', score: 97.5, confidence_index: 'A+', appellation: 'Pauillac', color: 'red', regions: ['Bordeaux'] },
+  { wine: 'Château Margaux', vintage: '2015', score: 98, confidence_index: 'A', appellation: 'Margaux', color: 'red', regions: ['Bordeaux'] },
+  { wine: 'Château d\'Yquem', vintage: '2001', score: 99, confidence_index: 'B', appellation: 'Sauternes', color: 'white', regions: ['Bordeaux'] },
+  { wine: 'Tignanello', vintage: '2016', score: 93, confidence_index: 'C+', appellation: 'Toscana', color: 'red', regions: [] }
+];
+
+function names(expression) {
+  return ROWS.filter(compileWhere(expression)).map(row => row.wine);
+}
+
+describe('compileWhere', () => {
+  it('compares numbers numerically and text without regard to case', () => {
+    assert.deepEqual(names('score >= 98'), ['Château Margaux', 'Château d\'Yquem']);
+    assert.deepEqual(names('color = WHITE'), ['Château d\'Yquem']);
+    assert.deepEqual(names('vintage != 2010 and color == red'), ['Château Margaux', 'Tignanello']);
+  });
+
+  it('matches ~ ignoring accents and case', () => {
+    assert.deepEqual(names('wine ~ "chateau m"'), ['Château Margaux']);
+    assert.deepEqual(names('wine !~ chateau'), ['Tignanello']);
+  });
+
+  it('orders confidence indexes by strength', () => {
+    assert.deepEqual(names('confidence >= A'), ['Château Latour', 'Château Margaux']);
+    assert.deepEqual(names('confidence < B'), ['Tignanello']);
+  });
+
+  it('binds "and" tighter than "or", and "not" tighter than both', () => {
+    assert.deepEqual(names('color = white or score > 97 and vintage = 2010'), ['Château Latour', 'Château d\'Yquem']);
+    assert.deepEqual(names('(color = white or score > 97) and vintage = 2010'), ['Château Latour']);
+    assert.deepEqual(names('not color = red and score > 90'), ['Château d\'Yquem']);
+  });
+
+  it('supports in, between and their negations', () => {
+    assert.deepEqual(names('appellation in (Pauillac, "Margaux")'), ['Château Latour', 'Château Margaux']);
+    assert.deepEqual(names('vintage not in (2010, 2015, 2016)'), ['Château d\'Yquem']);
+    assert.deepEqual(names('vintage between 2010 and 2015'), ['Château Latour', 'Château Margaux']);
+    assert.deepEqual(names('score not between 95 and 98'), ['Château d\'Yquem', 'Tignanello']);
+  });
+
+  it('matches array fields when any element matches, and negations when none does', () => {
+    assert.deepEqual(names('region = bordeaux'), ['Château Latour', 'Château Margaux', 'Château d\'Yquem']);
+    assert.deepEqual(names('region != bordeaux'), ['Tignanello']);
+  });
+
+  it('lists the fields an expression uses', () => {
+    assert.deepEqual(compileWhere('score > 90 and (confidence = A or region ~ x)').fields, ['score', 'confidence', 'region']);
+  });
+
+  it('names the column of a syntax error', () => {
+    assert.throws(() => compileWhere(''), /Empty expression/);
+    assert.throws(() => compileWhere('score >'), /Expected a value, found end of expression/);
+    assert.throws(() => compileWhere('score > 90 color = red'), /"color" at column 12/);
+    assert.throws(() => compileWhere('wine = "open'), /Unterminated string starting at column 8/);
+    assert.throws(() => compileWhere('score not > 3'), /"in" or "between" after "not"/);
+  });
+});
+
+describe('checkFields', () => {
+  it('accepts fields and aliases present in the rows', () => {
+    assert.doesNotThrow(() => checkFields(['score', 'confidence', 'region', 'name'], ROWS));
+  });
+
+  it('rejects unknown fields, listing the available ones', () => {
+    assert.throws(() => checkFields(['scroe', 'colour'], ROWS), /Unknown fields "scroe", "colour"\. Available: .*score/);
+  });
+
+  it('checks nothing without sample rows', () => {
+    assert.doesNotThrow(() => checkFields(['anything'], []));
+  });
+});
+
+describe('compileSort', () => {
+  const sorted = (spec, rows = ROWS) => [...rows].sort(compileSort(spec)).map(row => row.wine);
+
+  it('sorts on several keys in each direction', () => {
+    assert.deepEqual(sorted('color,-score'), ['Château Margaux', 'Château Latour', 'Tignanello', 'Château d\'Yquem']);
+    assert.deepEqual(sorted('vintage:desc'), ['Tignanello', 'Château Margaux', 'Château Latour', 'Château d\'Yquem']);
+    assert.deepEqual(sorted('-vintage:desc'), ['Château d\'Yquem', 'Château Latour', 'Château Margaux', 'Tignanello']);
+  });
+
+  it('sorts confidence by strength', () => {
+    assert.deepEqual(sorted('-confidence'), ['Château Latour', 'Château Margaux', 'Château d\'Yquem', 'Tignanello']);
+  });
+
+  it('puts rows missing a key last in either direction', () => {
+    const rows = [{ wine: 'a' }, { wine: 'b', score: 90 }, { wine: 'c', score: '' }, { wine: 'd', score: 95 }];
+    assert.deepEqual(sorted('score', rows), ['b', 'd', 'a', 'c']);
+    assert.deepEqual(sorted('-score', rows), ['d', 'b', 'a', 'c']);
+  });
+
+  it('rejects an empty specification', () => {
+    assert.throws(() => compileSort(' , '), /Empty sort specification/);
+  });
+});
+
+describe('groupRows', () => {
+  it('keeps the field names as written and counts each group', () => {
+    const groups = groupRows(ROWS, ['color']);
+    assert.deepEqual(groups.map(group => [group.color, group.count]).sort(), [['red', 3], ['white', 1]]);
+  });
+
+  it('groups on combinations of fields', () => {
+    const groups = groupRows(ROWS, ['color', 'region']);
+    const keys = groups.map(group => `${group.color}|${group.region}`).sort();
+    assert.deepEqual(keys, ['red|', 'red|Bordeaux', 'white|Bordeaux']);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// Snapshots live in the config directory; keep them out of the real one
+const home = mkdtempSync(join(tmpdir(), 'gws-snapshots-'));
+process.env.XDG_CONFIG_HOME = home;
+const { storeSnapshot, listSnapshots, loadSnapshot } = await import('../src/snapshots.js');
+const { getDataPath } = await import('../src/config.js');
+
+after(() => rmSync(home, { recursive: true, force: true }));
+
+async function* pagesOf(...pages) {
+  for (const page of pages) {
+    if (page instanceof Error) throw page;
+    yield page;
+  }
+}
+
+const ROW = { wine_id: 1, wine: 'Château Margaux', vintage: '2015', score: 98, confidence_index: 'A+' };
+
+describe('storeSnapshot', () => {
+  it('stores every page and counts the rows', async () => {
+    const stored = [];
+    const snapshot = await storeSnapshot(pagesOf({ results: [ROW] }, { results: [{ ...ROW, vintage: '2016' }] }), {
+      name: 'reds',
+      filters: { color: 'red' },
+      onPage: (count) => stored.push(count)
+    });
+    assert.equal(snapshot.count, 2);
+    assert.deepEqual(stored, [1, 2]);
+
+    const loaded = loadSnapshot('reds');
+    assert.equal(loaded.id, snapshot.id);
+    assert.deepEqual(loaded.filters, { color: 'red' });
+    assert.deepEqual(loaded.rows.map(row => [row.wine_name, row.vintage]), [['Château Margaux', '2015'], ['Château Margaux', '2016']]);
+  });
+
+  it('leaves no snapshot behind when a page fails', async () => {
+    const before = listSnapshots().length;
+    await assert.rejects(
+      storeSnapshot(pagesOf({ results: [ROW] }, new Error('Network down')), { name: 'broken' }),
+      /Network down/
+    );
+    assert.equal(listSnapshots().length, before);
+    assert.ok(!listSnapshots().some(snapshot => snapshot.name === 'broken'));
+    assert.deepEqual(readdirSync(getDataPath('snapshots')).filter(file => !file.endsWith('.jsonl')), []);
+  });
+});